@@ -8,22 +8,37 @@
 
   // ---- STATE ----
   let allArtists = [];          // Full artist list (official + unofficial)
-  let ratings = {};             // { artistKey: 1-4 }
+  let ratings = {};             // { artistKey: 1..ratingScale.max }
+  let ratingScale = FestWizRatingScale.normalize(null); // levels, labels, colors (rating-scale.js)
   let notes = {};               // { artistKey: 'user note string' }
+  let tags = {};                // { artistKey: ['see with Dana', …] } — free-form user tags
+  let listenLater = [];         // [artistKey] — queued from a listening session, oldest first
+  let artistNames = {};         // { artistKey: name } for rated artists — lets a later edition match by name
+  let carried = {};             // { artistKey: source } — ratings brought forward from a previous festival
+  let ratingHistory = [];       // [{ t, key, name, field: 'rating'|'note', from, to, via? }] — oldest first
   let genreTiers = {};          // { genre: 'high'|'medium'|'low'|'hide' }
   let subgenreTiers = {};       // { subgenre: 'high'|'medium'|'low'|'hide' }
   let userArtists = [];         // User-submitted artists (added via form)
+  let artistAliases = {};       // { variant name: canonical name } — user "same artist" merges
+  let group = [];               // [{ id, name, ratings, updated }] — friends' shared ratings, kept apart from mine
+  let groupName = '';           // my name, sent with my share links so friends' group shows it
   let allUnofficialShows = [];  // Unofficial shows from unofficial_shows.json
-  let recommendedEntityIds = new Set();
-  let recommendedNames = new Set();    // lowercase
+  let recommendedPicks = {};           // recommended.json: { entity_ids, names } — the built-in pick list
+  let pickLists = FestWizPickLists.normalize([]); // [{ id, name, color, enabled, ... }] — built-in list first
+  let pickIndex = FestWizPickLists.buildIndex([], {}, normForMatch);
+  let shippedAliases = {};             // artist_aliases.json: { variant name: canonical name }
+  let aliasIndex = new Map();          // normForMatch(variant) → canonical name (shipped + user merges)
+  let entityIdByName = new Map();      // normForMatch(name) → entity_id of the official record
+  let detailArtist = null;             // artist currently open in the detail modal
   let currentFilters = {
     search: '',
-    rated: 'all',       // all | unrated | rated | 3+
+    rated: 'all',       // all | unrated | rated | 3+ | later
     source: 'all',      // all | official | unofficial | user
-    sort: 'name',       // name | genre | rating | country
+    sort: 'name',       // name | genre | subgenre | rating | recent | country | foryou
     genre: null,        // null = all genres
     subgenre: null,     // null = all subgenres
-    hidePicks: 'show',  // show | hide
+    tag: null,          // null = all, or one of the user's tags
+    consensus: 'all',   // all | anyone-top | everyone-good (group mode)
     windowDay: null,    // null = all days, or "2026-03-15"
     windowStart: null,  // null = no start restriction, or "HH:MM"
     windowEnd: null,    // null = no end restriction, or "HH:MM"
@@ -34,9 +49,28 @@
     return (s || '').toLowerCase().replace(/ & /g, ' and ');
   }
 
+  // Follow the alias table to the name an artist is filed under. Chains are
+  // followed (a user merge onto a name that is itself an alias), capped so a
+  // bad loop in the data can't hang the page.
+  function canonicalArtistName(name) {
+    let current = name;
+    for (let hops = 0; hops < 5; hops++) {
+      const next = aliasIndex.get(normForMatch(current));
+      if (!next || normForMatch(next) === normForMatch(current)) break;
+      current = next;
+    }
+    return current;
+  }
+
+  // Enabled pick lists the artist is on
+  function pickListsFor(artist) {
+    return FestWizPickLists.listsFor(pickIndex,
+      artist.entity_id ? [artist.entity_id] : [],
+      [normForMatch(artist.name), normForMatch(canonicalArtistName(artist.name))]);
+  }
+
   function isRecommended(artist) {
-    if (artist.entity_id && recommendedEntityIds.has(String(artist.entity_id))) return true;
-    return recommendedNames.has(normForMatch(artist.name));
+    return pickListsFor(artist).length > 0;
   }
 
   // Minutes since day-start, treating hours 0–6 as 24–30 (after-midnight shows)
@@ -46,16 +80,151 @@
     return (h < 7 ? h + 24 : h) * 60 + m;
   }
 
+  // ---- SHOW INDEX ----
+  // Built once per data load so filters, search and the detail modal look shows
+  // up by key instead of rescanning allUnofficialShows for every artist.
+  let showIndex = {
+    byArtist: new Map(),  // artistKey → { official: [events], unofficial: [shows], venues: [names] }
+    byVenue: new Map(),   // lowercase venue name → Set(artistKey)
+  };
+  let artistsByKey = new Map(); // artistKey → artist
+
+
+  function buildShowIndex() {
+    const byArtist = new Map();
+    const byVenue = new Map();
+    const keyByName = new Map(); // normForMatch(name) → artistKey
+    const byKey = new Map();
+
+    for (const a of allArtists) {
+      const key = artistKey(a);
+      if (!byKey.has(key)) byKey.set(key, a);
+      if (!byArtist.has(key)) byArtist.set(key, { official: [], unofficial: [], venues: [] });
+      byArtist.get(key).official.push(...officialEvents(a));
+      const name = normForMatch(a.name);
+      if (!keyByName.has(name)) keyByName.set(name, key);
+    }
+
+    for (const s of allUnofficialShows) {
+      const key = keyByName.get(normForMatch(s.artist_name)) ||
+        keyByName.get(normForMatch(canonicalArtistName(s.artist_name)));
+      if (key) byArtist.get(key).unofficial.push(s);
+    }
+
+    for (const [key, entry] of byArtist) {
+      for (const s of [...entry.official, ...entry.unofficial]) {
+        const venue = (s.venue || '').toLowerCase();
+        if (!venue) continue;
+        if (!entry.venues.includes(s.venue)) entry.venues.push(s.venue);
+        if (!byVenue.has(venue)) byVenue.set(venue, new Set());
+        byVenue.get(venue).add(key);
+      }
+    }
+
+    showIndex = { byArtist, byVenue };
+    artistsByKey = byKey;
+    similarityIndex = null; // showcases may have changed
+  }
+
+  // artists.json events carry no source; stamp them so admission() reads
+  // them as badge shows rather than free ones
+  function officialEvents(artist) {
+    return (artist.events || []).map(ev => ({ source: 'official', ...ev }));
+  }
+
+  // Official events + unofficial shows for an artist, from the index
+  function showsForArtist(artist) {
+    const entry = showIndex.byArtist.get(artistKey(artist));
+    if (!entry) return { official: officialEvents(artist), unofficial: [], venues: [] };
+    return entry;
+  }
+
+  // ---- SEARCH ----
+  // Matching and ranking live in search.js (shared with the schedule page).
+  // Name hits outrank genre/location/venue hits so "blazer" lists Blazer first.
+  function artistSearchScore(artist, compiled) {
+    const fields = [
+      [artist.name, 3],
+      [artist.genre, 1],
+      [artist.subgenre, 1],
+      [artist.location, 1],
+      [artist.country, 1],
+      [artist.city, 1],
+    ];
+    for (const tag of tagsFor(artistKey(artist))) fields.push([tag, 1]);
+    for (const venue of showsForArtist(artist).venues) fields.push([venue, 1]);
+    return FestWizSearch.score(compiled, fields);
+  }
+
+  // Structured query terms (genre:punk, rating>=3, day:3/14 …). Show-level
+  // terms are checked together against each of the artist's shows, so
+  // "day:3/14 after:21:00" needs one show that satisfies both.
+  const SHOW_QUERY_FIELDS = new Set(['venue', 'showcase', 'day', 'after', 'before', 'free']);
+
+  function artistFieldMatches(artist, clause) {
+    switch (clause.field) {
+      case 'artist':   return FestWizSearch.test(clause, artist.name);
+      case 'genre':    return FestWizSearch.test(clause, artist.genre);
+      case 'subgenre': return FestWizSearch.test(clause, artist.subgenre);
+      case 'country':  return FestWizSearch.test(clause, artist.country);
+      case 'city':     return FestWizSearch.test(clause, artist.city);
+      case 'location': return FestWizSearch.test(clause, artist.location);
+      case 'source':   return FestWizSearch.test(clause, artist.source || 'official');
+      case 'tag':      return tagsFor(artistKey(artist)).some(t => FestWizSearch.test(clause, t));
+      case 'rating':   return FestWizSearch.test(clause, ratings[artistKey(artist)] || 0);
+    }
+    return false;
+  }
+
+  function showFieldMatches(show, clause) {
+    switch (clause.field) {
+      case 'venue':    return FestWizSearch.test(clause, show.venue);
+      case 'showcase': return FestWizSearch.test(clause, show.showcase || show.presented_by);
+      case 'day':      return FestWizSearch.test(clause, show.day);
+      case 'after':    return !!show.start_time && minsFromDayStart(show.start_time) >= minsFromDayStart(clause.value);
+      case 'before':   return !!show.start_time && minsFromDayStart(show.start_time) < minsFromDayStart(clause.value);
+      case 'free':     return FestWizSearch.admission(show) === 'free';
+    }
+    return false;
+  }
+
+  function artistMatchesClauses(artist, clauses) {
+    const showClauses = [];
+    for (const clause of clauses) {
+      if (SHOW_QUERY_FIELDS.has(clause.field)) showClauses.push(clause);
+      else if (artistFieldMatches(artist, clause) === clause.negate) return false;
+    }
+    if (!showClauses.length) return true;
+
+    const { official, unofficial } = showsForArtist(artist);
+    const shows = [...official, ...unofficial];
+    const wanted = showClauses.filter(c => !c.negate);
+    if (wanted.length && !shows.some(s => wanted.every(c => showFieldMatches(s, c)))) return false;
+    return showClauses.filter(c => c.negate).every(c => !shows.some(s => showFieldMatches(s, c)));
+  }
+
+  // Parse-error hint under the search box for malformed queries (e.g. "rating>=x")
+  function updateSearchHint() {
+    const hint = document.getElementById('search-hint');
+    if (!hint) return;
+    const error = currentFilters.search ? FestWizSearch.compile(currentFilters.search).error : null;
+    hint.textContent = error || '';
+    hint.hidden = !error;
+  }
+
+  // Escaped text with the current search's matches wrapped in <mark>
+  function highlightSearch(text) {
+    if (!currentFilters.search) return escHtml(text);
+    return FestWizSearch.highlight(text, FestWizSearch.compile(currentFilters.search));
+  }
+
   function artistHasShowInWindow(artist) {
     if (!currentFilters.windowDay) return true;
     const day = currentFilters.windowDay;
     const startMins = currentFilters.windowStart ? minsFromDayStart(currentFilters.windowStart) : null;
     const endMins   = currentFilters.windowEnd   ? minsFromDayStart(currentFilters.windowEnd)   : null;
-    const shows = [
-      ...(artist.events || []),
-      ...allUnofficialShows.filter(s => normForMatch(s.artist_name) === normForMatch(artist.name)),
-    ];
-    return shows.some(s => {
+    const { official, unofficial } = showsForArtist(artist);
+    return [...official, ...unofficial].some(s => {
       if (s.day !== day) return false;
       if (!s.start_time) return true; // no time known — include
       const m = minsFromDayStart(s.start_time);
@@ -65,10 +234,29 @@
     });
   }
 
+  // ---- FESTIVAL MANIFEST ----
+  // festival.json, loaded through festival.js (shared with the schedule page)
+  let festival = FestWizFestival.DEFAULT;
+
+  async function loadFestival() {
+    festival = await FestWizFestival.load();
+    STATE_KEY = nsKey('state');
+    STORAGE_KEYS.theme = nsKey('theme');
+    STORAGE_KEYS.session = nsKey('session');
+    STORAGE_KEYS.player = nsKey('player');
+  }
+
+  // Namespaced localStorage key, e.g. nsKey('state') → "sxsw2026_state"
+  function nsKey(suffix) {
+    return `${festival.storage_namespace}_${suffix}`;
+  }
+
   // ---- STORAGE ----
-  const STATE_KEY = 'sxsw2026_state';
+  let STATE_KEY = nsKey('state');
   const STORAGE_KEYS = {
-    theme: 'sxsw2026_theme',
+    theme: nsKey('theme'),
+    session: nsKey('session'),
+    player: nsKey('player'),
   };
 
   function loadFromLocalStorage() {
@@ -78,10 +266,19 @@
         const data = JSON.parse(raw);
         if (data.ratings) ratings = data.ratings;
         if (data.notes) notes = data.notes;
+        if (data.tags) tags = data.tags;
+        if (Array.isArray(data.listenLater)) listenLater = data.listenLater;
+        if (data.artistNames) artistNames = data.artistNames;
+        if (data.carried) carried = data.carried;
+        if (Array.isArray(data.ratingHistory)) ratingHistory = data.ratingHistory;
+        if (data.ratingScale) ratingScale = FestWizRatingScale.normalize(data.ratingScale);
         if (data.genreTiers) genreTiers = data.genreTiers;
         if (data.subgenreTiers) subgenreTiers = data.subgenreTiers;
         if (data.userArtists) userArtists = data.userArtists;
-        if (data.hidePicks) currentFilters.hidePicks = data.hidePicks;
+        if (data.artistAliases) artistAliases = data.artistAliases;
+        pickLists = FestWizPickLists.normalize(data.pickLists, data.hidePicks);
+        if (Array.isArray(data.group)) group = data.group;
+        if (data.groupName) groupName = data.groupName;
         // Migrate 'skip' → 'hide' tier value
         let migrated = false;
         for (const k in genreTiers)    { if (genreTiers[k]    === 'skip') { genreTiers[k]    = 'hide'; migrated = true; } }
@@ -97,13 +294,13 @@
   }
 
   function migrateOldStorageKeys() {
-    const oldRatings = localStorage.getItem('sxsw2026_ratings');
+    const oldRatings = localStorage.getItem(nsKey('ratings'));
     if (!oldRatings) return; // nothing to migrate
     try {
       ratings     = JSON.parse(oldRatings) || {};
-      notes       = JSON.parse(localStorage.getItem('sxsw2026_notes')        || '{}');
-      genreTiers  = JSON.parse(localStorage.getItem('sxsw2026_genreTiers')   || '{}');
-      subgenreTiers = JSON.parse(localStorage.getItem('sxsw2026_subgenreTiers') || '{}');
+      notes       = JSON.parse(localStorage.getItem(nsKey('notes'))        || '{}');
+      genreTiers  = JSON.parse(localStorage.getItem(nsKey('genreTiers'))   || '{}');
+      subgenreTiers = JSON.parse(localStorage.getItem(nsKey('subgenreTiers')) || '{}');
       saveToLocalStorage();
       console.log(`Migrated ${Object.keys(ratings).length} ratings from old storage keys.`);
     } catch (e) {
@@ -113,12 +310,22 @@
 
   function saveToLocalStorage() {
     localStorage.setItem(STATE_KEY, JSON.stringify({
+      festival: festival.id,
       ratings,
       notes,
+      tags,
+      listenLater,
+      artistNames,
+      carried,
+      ratingHistory,
+      ratingScale: FestWizRatingScale.serialize(ratingScale),
       genreTiers,
       subgenreTiers,
       userArtists: userArtists,
-      hidePicks: currentFilters.hidePicks,
+      artistAliases,
+      pickLists,
+      group,
+      groupName,
     }));
   }
 
@@ -133,9 +340,114 @@
 
   // ---- ARTIST KEY ----
   function artistKey(artist) {
-    // Use entity_id for official artists, name-based key for unofficial
+    // Use entity_id for official artists, name-based key for unofficial.
+    // Aliased names key as their canonical artist, official or not.
     if (artist.entity_id) return 'eid_' + artist.entity_id;
-    return 'name_' + artist.name.toLowerCase().replace(/[^a-z0-9]/g, '_');
+    const canonical = canonicalArtistName(artist.name);
+    const eid = canonical !== artist.name && entityIdByName.get(normForMatch(canonical));
+    if (eid) return 'eid_' + eid;
+    return 'name_' + canonical.toLowerCase().replace(/[^a-z0-9]/g, '_');
+  }
+
+  // ---- ARTIST ALIASES ----
+  // artist_aliases.json maps spelling variants ("Snail Mate") to the name the
+  // artist is filed under ("Snailmate"); "same artist" merges made on the detail
+  // modal add to it. Both feed aliasIndex, which artistKey and the loaders use.
+  function allArtistAliases() {
+    return { ...shippedAliases, ...artistAliases };
+  }
+
+  function buildAliasIndex() {
+    aliasIndex = new Map();
+    for (const [variant, canonical] of Object.entries(allArtistAliases())) {
+      if (variant && canonical) aliasIndex.set(normForMatch(variant), canonical);
+    }
+  }
+
+  function buildEntityIdIndex() {
+    entityIdByName = new Map();
+    for (const a of allArtists) {
+      if (a.entity_id && !entityIdByName.has(normForMatch(a.name))) {
+        entityIdByName.set(normForMatch(a.name), a.entity_id);
+      }
+    }
+  }
+
+  function mergeArtistLinks(into, from) {
+    into.links = into.links || {};
+    for (const [type, url] of Object.entries(from.links || {})) {
+      if (url && !into.links[type]) into.links[type] = url;
+    }
+  }
+
+  // Fold records the alias table names as variants into their canonical
+  // artist's record (links fill gaps; the canonical record wins otherwise).
+  // Returns true if ratings or notes moved with them.
+  function collapseAliasedArtists() {
+    const byName = new Map();
+    for (const a of allArtists) {
+      if (!byName.has(normForMatch(a.name))) byName.set(normForMatch(a.name), a);
+    }
+    let moved = false;
+    allArtists = allArtists.filter(a => {
+      const target = byName.get(normForMatch(canonicalArtistName(a.name)));
+      if (!target || target === a) return true;
+      mergeArtistLinks(target, a);
+      if (a.events && a.events.length) target.events = [...(target.events || []), ...a.events];
+      if (moveArtistData(artistKey(a), artistKey(target), a.name, target.name)) moved = true;
+      return false;
+    });
+    return moved;
+  }
+
+  // Notes are a one-line field, so two joined notes need a visible separator
+  const NOTE_JOIN = ' / ';
+
+  // Move a rating, note and remembered name from one key to another. The
+  // destination keeps its own rating if it has one; notes are joined. Rating
+  // and note changes are logged to the history, tagged "merge".
+  function moveArtistData(fromKey, toKey, fromName = artistNames[fromKey] || '', toName = artistNames[toKey] || fromName) {
+    if (fromKey === toKey) return false;
+    let moved = false;
+    if (ratings[fromKey]) {
+      if (!ratings[toKey]) {
+        ratings[toKey] = ratings[fromKey];
+        if (carried[fromKey]) carried[toKey] = carried[fromKey];
+        logChange(toKey, toName, 'rating', null, ratings[toKey], 'merge');
+      }
+      logChange(fromKey, fromName, 'rating', ratings[fromKey], null, 'merge');
+      delete ratings[fromKey];
+      moved = true;
+    }
+    delete carried[fromKey];
+    if (notes[fromKey]) {
+      const before = notes[toKey] || null;
+      notes[toKey] = notes[toKey] && notes[toKey] !== notes[fromKey]
+        ? notes[toKey] + NOTE_JOIN + notes[fromKey]
+        : notes[fromKey];
+      if (notes[toKey] !== before) logChange(toKey, toName, 'note', before, notes[toKey], 'merge');
+      logChange(fromKey, fromName, 'note', notes[fromKey], null, 'merge');
+      delete notes[fromKey];
+      moved = true;
+    }
+    if (listenLater.includes(fromKey)) {
+      listenLater = listenLater.filter(k => k !== fromKey);
+      if (!listenLater.includes(toKey)) listenLater.push(toKey);
+      moved = true;
+    }
+    if (tags[fromKey]) {
+      for (const tag of tags[fromKey]) addTag(toKey, tag);
+      delete tags[fromKey];
+      moved = true;
+    }
+    for (const member of group) {
+      if (!member.ratings[fromKey]) continue;
+      if (!member.ratings[toKey]) member.ratings[toKey] = member.ratings[fromKey];
+      delete member.ratings[fromKey];
+      moved = true;
+    }
+    delete artistNames[fromKey];
+    return moved;
   }
 
   // ---- LINK DISPLAY ORDER ----
@@ -154,16 +466,21 @@
   async function loadArtists() {
     try {
       const ts = '?_=' + Date.now();
-      const [artistsResp, unofficialResp, unofficialShowsResp, recommendedResp] = await Promise.all([
-        fetch('artists.json' + ts),
-        fetch('unofficial_artists.json' + ts),
-        fetch('unofficial_shows.json' + ts),
-        fetch('recommended.json' + ts),
+      const [artistsResp, unofficialResp, unofficialShowsResp, recommendedResp, aliasesResp] = await Promise.all([
+        fetch(festival.data.artists + ts),
+        fetch(festival.data.unofficial_artists + ts),
+        fetch(festival.data.unofficial_shows + ts),
+        fetch(festival.data.recommended + ts),
+        fetch(festival.data.artist_aliases + ts),
       ]);
       if (!artistsResp.ok) throw new Error(`HTTP ${artistsResp.status}`);
       const data = await artistsResp.json();
       allArtists = Array.isArray(data) ? data : [];
 
+      // Spelling variants → canonical artist names, plus the user's own merges
+      if (aliasesResp.ok) shippedAliases = (await aliasesResp.json()).aliases || {};
+      buildAliasIndex();
+
       // Merge developer-curated unofficial artists from static file.
       // If an unofficial artist now has an official record, merge their links in
       // rather than adding a duplicate entry. Official data wins for all other fields.
@@ -171,14 +488,12 @@
         const uData = await unofficialResp.json();
         if (Array.isArray(uData)) {
           for (const ua of uData) {
+            const canonical = normForMatch(canonicalArtistName(ua.name));
             const officialMatch = allArtists.find(
-              a => normForMatch(a.name) === normForMatch(ua.name)
+              a => normForMatch(a.name) === canonical
             );
             if (officialMatch) {
-              officialMatch.links = officialMatch.links || {};
-              for (const [type, url] of Object.entries(ua.links || {})) {
-                if (url && !officialMatch.links[type]) officialMatch.links[type] = url;
-              }
+              mergeArtistLinks(officialMatch, ua);
             } else {
               allArtists.push(ua);
             }
@@ -194,15 +509,15 @@
 
       // Load developer-curated recommended artists
       if (recommendedResp.ok) {
-        const rData = await recommendedResp.json();
-        recommendedEntityIds = new Set((rData.entity_ids || []).map(id => String(id)));
-        recommendedNames     = new Set((rData.names || []).map(n => normForMatch(n)));
+        recommendedPicks = await recommendedResp.json();
       }
+      rebuildPickIndex();
+      renderPickLists();
     } catch (e) {
-      console.error('Failed to load artists.json:', e);
+      console.error(`Failed to load ${festival.data.artists}:`, e);
       allArtists = [];
       document.getElementById('loading').innerHTML =
-        'Could not load artists.json. Run a local server:<br><br>' +
+        `Could not load ${escHtml(festival.data.artists)}. Run a local server:<br><br>` +
         '<code style="color:var(--accent)">cd "' + window.location.pathname.replace(/\/[^/]*$/, '') +
         '" && python3 -m http.server 8000</code><br><br>' +
         'Then open <a href="http://localhost:8000" style="color:var(--accent)">http://localhost:8000</a>';
@@ -216,10 +531,11 @@
       );
       if (!exists) allArtists.push(ua);
     }
+    buildEntityIdIndex();
+    let ratingsMigrated = collapseAliasedArtists();
 
     // Migrate ratings from name_key → eid_key for artists that were unofficial
     // when rated but have since been added to the official SXSW lineup.
-    let ratingsMigrated = false;
     for (const a of allArtists) {
       if (!a.entity_id) continue;
       const eidKey = 'eid_' + a.entity_id;
@@ -230,14 +546,757 @@
         ratingsMigrated = true;
       }
     }
+
+    // Ratings given to a spelling variant before it was aliased follow it to
+    // the canonical artist's key.
+    for (const variant of Object.keys(allArtistAliases())) {
+      const oldKey = 'name_' + variant.toLowerCase().replace(/[^a-z0-9]/g, '_');
+      const canonical = canonicalArtistName(variant);
+      if (moveArtistData(oldKey, artistKey({ name: variant }), variant, canonical)) ratingsMigrated = true;
+    }
+
+    // Remember display names for rated artists so a future edition can carry
+    // these ratings forward by name even if entity_ids change.
+    for (const a of allArtists) {
+      const key = artistKey(a);
+      if (ratings[key] && !artistNames[key]) {
+        artistNames[key] = a.name;
+        ratingsMigrated = true;
+      }
+    }
     if (ratingsMigrated) saveToLocalStorage();
 
+    buildShowIndex();
+
     document.getElementById('loading').style.display = 'none';
     buildGenreList();
     buildSubgenreList();
     setupWindowFilter();
     renderArtists();
     updateStats();
+    renderMiniPlayer();
+    resumeListenSession();
+    refreshPickLists();
+  }
+
+  // ---- PICK LISTS ----
+  function rebuildPickIndex() {
+    pickIndex = FestWizPickLists.buildIndex(pickLists, recommendedPicks, normForMatch);
+  }
+
+  // "★ Name" chips, one per list, in each list's color
+  function pickBadgesHtml(lists, className) {
+    return lists.map(l =>
+      `<span class="${className}" style="--pick-color:${FestWizPickLists.colors(l).css}">★ ${escHtml(l.name)}</span>`
+    ).join('');
+  }
+
+  function pickListSize(list) {
+    const data = list.builtin ? recommendedPicks : list;
+    return (data.entity_ids || []).length + (data.names || []).length;
+  }
+
+  // Lists from a backup: new ones are added, ones already subscribed to are left alone
+  function mergePickLists(incoming) {
+    const known = new Set(pickLists.map(l => l.id));
+    const added = incoming.filter(l => l && l.id && !known.has(l.id));
+    if (!added.length) return;
+    pickLists = FestWizPickLists.normalize([...pickLists, ...added]);
+    rebuildPickIndex();
+    renderPickLists();
+  }
+
+  function renderPickLists() {
+    const container = document.getElementById('pick-lists');
+    if (!container) return;
+    container.innerHTML = pickLists.map(l => `
+      <div class="pick-list${l.enabled ? '' : ' pick-list--off'}" data-id="${escHtml(l.id)}">
+        <input type="checkbox" class="pick-list__toggle" ${l.enabled ? 'checked' : ''} title="Show this list's picks">
+        <input type="color" class="pick-list__color" value="${l.color || '#00bcd4'}" title="List color">
+        <span class="pick-list__name" title="${escHtml(l.url || l.name)}">${escHtml(l.name)}</span>
+        <span class="pick-list__count">${pickListSize(l)}</span>
+        ${l.builtin ? '' : '<button class="pick-list__remove" title="Remove list">✕</button>'}
+      </div>`).join('');
+  }
+
+  function pickListsChanged() {
+    saveToLocalStorage();
+    rebuildPickIndex();
+    renderPickLists();
+    renderArtists();
+    updateStats();
+  }
+
+  // Re-fetch lists added from a URL; on failure the saved copy stays in use
+  async function refreshPickLists() {
+    let changed = false;
+    for (const list of pickLists) {
+      if (!list.url) continue;
+      try {
+        const resp = await fetch(list.url, { cache: 'no-cache' });
+        if (!resp.ok) continue;
+        const fresh = FestWizPickLists.parse(await resp.text());
+        list.entity_ids = fresh.entity_ids;
+        list.names = fresh.names;
+        changed = true;
+      } catch (e) {
+        console.warn(`Could not refresh pick list ${list.url}:`, e);
+      }
+    }
+    if (changed) pickListsChanged();
+  }
+
+  function setupPickLists() {
+    const container = document.getElementById('pick-lists');
+    const modal = document.getElementById('modal-pick-list');
+    const nameInput = document.getElementById('pick-list-name');
+    const colorInput = document.getElementById('pick-list-color');
+    const urlInput = document.getElementById('pick-list-url');
+    const fileInput = document.getElementById('pick-list-file');
+    const listById = id => pickLists.find(l => l.id === id);
+    renderPickLists();
+
+    container.addEventListener('change', e => {
+      const row = e.target.closest('.pick-list');
+      const list = row && listById(row.dataset.id);
+      if (!list) return;
+      if (e.target.classList.contains('pick-list__toggle')) list.enabled = e.target.checked;
+      else if (e.target.classList.contains('pick-list__color')) list.color = e.target.value;
+      else return;
+      pickListsChanged();
+    });
+
+    container.addEventListener('click', e => {
+      const btn = e.target.closest('.pick-list__remove');
+      if (!btn) return;
+      const list = listById(btn.closest('.pick-list').dataset.id);
+      if (!list || !confirm(`Remove the pick list "${list.name}"?`)) return;
+      pickLists = pickLists.filter(l => l !== list);
+      pickListsChanged();
+    });
+
+    const closeModal = () => modal.classList.remove('visible');
+
+    document.getElementById('btn-add-pick-list').addEventListener('click', () => {
+      nameInput.value = '';
+      urlInput.value = '';
+      fileInput.value = '';
+      colorInput.value = FestWizPickLists.PALETTE[(pickLists.length - 1) % FestWizPickLists.PALETTE.length];
+      modal.classList.add('visible');
+    });
+    document.getElementById('btn-cancel-pick-list').addEventListener('click', closeModal);
+    modal.addEventListener('click', e => { if (e.target === modal) closeModal(); });
+
+    document.getElementById('btn-save-pick-list').addEventListener('click', async () => {
+      const file = fileInput.files[0];
+      const url = urlInput.value.trim();
+      if (!file && !url) {
+        alert('Choose a file or enter a URL for the list.');
+        return;
+      }
+      let parsed;
+      try {
+        const text = file ? await file.text() : await fetch(url, { cache: 'no-cache' }).then(r => {
+          if (!r.ok) throw new Error(`HTTP ${r.status}`);
+          return r.text();
+        });
+        parsed = FestWizPickLists.parse(text);
+      } catch (e) {
+        alert(`Could not load that list: ${e.message}`);
+        return;
+      }
+      const fallbackName = file ? file.name.replace(/\.[^.]+$/, '') : new URL(url, location.href).hostname;
+      pickLists.push({
+        id: 'list-' + Date.now().toString(36),
+        name: nameInput.value.trim() || parsed.name || fallbackName,
+        color: colorInput.value,
+        enabled: true,
+        url: file ? '' : url,
+        entity_ids: parsed.entity_ids,
+        names: parsed.names,
+      });
+      closeModal();
+      pickListsChanged();
+    });
+  }
+
+  // ---- GROUP ----
+  // Friends' share links kept as separate members instead of merged into mine.
+  // Member ratings are stored on my scale (remapped on import and when I
+  // change scales); importing a newer link under the same name refreshes them.
+  let pendingShare = null;   // decoded share link waiting in the import modal
+
+  // Everyone's rating of an artist, me first, then members in the order they joined; 0 = unrated
+  function groupRatings(key) {
+    return [ratings[key] || 0, ...group.map(m => m.ratings[key] || 0)];
+  }
+
+  // { avg, min, count } over those who've rated it (min = the least keen of
+  // them), or null if nobody has rated it
+  function consensus(key) {
+    const rated = groupRatings(key).filter(r => r > 0);
+    if (!rated.length) return null;
+    return { avg: rated.reduce((sum, r) => sum + r, 0) / rated.length, min: Math.min(...rated), count: rated.length };
+  }
+
+  function groupRatingsHtml(key) {
+    if (!group.length) return '';
+    const chips = group.map(m => {
+      const r = m.ratings[key] || 0;
+      const level = FestWizRatingScale.level(ratingScale, r);
+      const style = r ? ` style="background:var(--rating-${r});color:var(--rating-${r}-text)"` : '';
+      return `<span class="group-rating${r ? '' : ' group-rating--none'}"${style} title="${escAttr(m.name)}: ${escAttr(level ? level.label : 'not rated')}">${escHtml(m.name)} <b>${r || '–'}</b></span>`;
+    }).join('');
+    const c = consensus(key);
+    const summary = c ? `<span class="group-ratings__summary">avg ${c.avg.toFixed(1)} · min ${c.min}</span>` : '';
+    return `<div class="group-ratings">${chips}${summary}</div>`;
+  }
+
+  function findMember(name) {
+    return group.find(m => m.name.toLowerCase() === name.trim().toLowerCase());
+  }
+
+  // Group sorts and filters only show once there's someone to compare with
+  function updateGroupControls() {
+    const has = group.length > 0;
+    document.getElementById('filter-consensus').hidden = !has;
+    document.querySelectorAll('#filter-sort [data-group-only]').forEach(btn => { btn.hidden = !has; });
+    document.getElementById('group-summary').textContent = has
+      ? `${group.map(m => m.name).join(', ')} + you`
+      : 'Import a friend\'s share link to see their ratings next to yours.';
+    if (!has && currentFilters.consensus !== 'all') {
+      currentFilters.consensus = 'all';
+      document.querySelectorAll('#filter-consensus .filter-btn').forEach(b => b.classList.toggle('active', b.dataset.filter === 'all'));
+    }
+    if (!has && currentFilters.sort.startsWith('group')) {
+      currentFilters.sort = 'name';
+      document.querySelectorAll('#filter-sort .filter-btn').forEach(b => b.classList.toggle('active', b.dataset.sort === 'name'));
+    }
+  }
+
+  // A decoded share link: add it to the group (or refresh that member), or
+  // merge it into my own ratings as before
+  function offerShareImport(data) {
+    pendingShare = data;
+    const count = data.ratings ? Object.keys(data.ratings).filter(k => data.ratings[k] > 0).length : 0;
+    const from = data.name ? ` from ${data.name}` : '';
+    document.getElementById('share-import-summary').textContent =
+      `${count} rating${count !== 1 ? 's' : ''}${from}. Add them to your group to see them next to yours, ` +
+      'or merge them into your own ratings (you choose what happens where you differ).';
+    document.getElementById('group-member-names').innerHTML = group.map(m => `<option value="${escAttr(m.name)}">`).join('');
+    const nameInput = document.getElementById('share-import-name');
+    nameInput.value = data.name || '';
+    updateShareImportButton();
+    document.getElementById('modal-share-import').classList.add('visible');
+  }
+
+  function updateShareImportButton() {
+    const name = document.getElementById('share-import-name').value.trim();
+    const member = name && findMember(name);
+    document.getElementById('btn-share-import-group').textContent = member ? `Update ${member.name}` : 'Add to Group';
+  }
+
+  function addShareToGroup(data, name) {
+    const incoming = incomingRatings(data);
+    const memberRatings = {};
+    for (const k in incoming) if (incoming[k] > 0) memberRatings[k] = incoming[k];
+    const existing = findMember(name);
+    const member = existing || { id: 'm-' + Date.now().toString(36), name: name.trim() };
+    member.ratings = memberRatings;
+    member.updated = new Date().toISOString();
+    if (!existing) group.push(member);
+    saveAll();
+    updateGroupControls();
+    renderArtists();
+    renderGroupMembers();
+    const count = Object.keys(memberRatings).length;
+    alert(existing ? `Updated ${member.name} (${count} ratings).` : `Added ${member.name} to your group (${count} ratings).`);
+  }
+
+  function renderGroupMembers() {
+    const container = document.getElementById('group-members');
+    if (!group.length) {
+      container.innerHTML = '<p class="group-members__empty">No one yet. Ask your friends for their share links (Share button in the header).</p>';
+      return;
+    }
+    container.innerHTML = group.map(m => `
+      <div class="group-member" data-id="${escAttr(m.id)}">
+        <input type="text" class="group-member__name" value="${escAttr(m.name)}" aria-label="Member name">
+        <span class="group-member__meta">${Object.keys(m.ratings).length} ratings · ${m.updated ? new Date(m.updated).toLocaleDateString() : ''}</span>
+        <button class="group-member__remove" title="Remove from group">✕</button>
+      </div>`).join('');
+  }
+
+  function setupGroup() {
+    const modal = document.getElementById('modal-group');
+    const importModal = document.getElementById('modal-share-import');
+    const nameInput = document.getElementById('share-import-name');
+    const memberById = id => group.find(m => m.id === id);
+    setupFilterGroup('filter-consensus', 'consensus', 'filter');
+    updateGroupControls();
+
+    // Share import choice
+    const closeImport = () => { importModal.classList.remove('visible'); pendingShare = null; };
+    nameInput.addEventListener('input', updateShareImportButton);
+    document.getElementById('btn-share-import-cancel').addEventListener('click', closeImport);
+    importModal.addEventListener('click', e => { if (e.target === importModal) closeImport(); });
+    document.getElementById('btn-share-import-group').addEventListener('click', () => {
+      const name = nameInput.value.trim();
+      if (!name) {
+        alert('Give this person a name for your group.');
+        nameInput.focus();
+        return;
+      }
+      const data = pendingShare;
+      closeImport();
+      addShareToGroup(data, name);
+    });
+    document.getElementById('btn-share-import-merge').addEventListener('click', () => {
+      const data = pendingShare;
+      closeImport();
+      mergeShare(data);
+    });
+
+    // Managing members
+    document.getElementById('btn-manage-group').addEventListener('click', () => {
+      document.getElementById('group-your-name').value = groupName;
+      renderGroupMembers();
+      modal.classList.add('visible');
+    });
+    const closeModal = () => {
+      modal.classList.remove('visible');
+      renderArtists();
+    };
+    document.getElementById('btn-close-group').addEventListener('click', closeModal);
+    modal.addEventListener('click', e => { if (e.target === modal) closeModal(); });
+    document.getElementById('btn-group-add').addEventListener('click', () => {
+      modal.classList.remove('visible');
+      document.getElementById('import-url-input').value = '';
+      document.getElementById('modal-import-url').classList.add('visible');
+    });
+    document.getElementById('group-your-name').addEventListener('change', e => {
+      groupName = e.target.value.trim();
+      saveAll();
+    });
+
+    const members = document.getElementById('group-members');
+    members.addEventListener('change', e => {
+      if (!e.target.classList.contains('group-member__name')) return;
+      const member = memberById(e.target.closest('.group-member').dataset.id);
+      const name = e.target.value.trim();
+      if (!member || !name) { e.target.value = member ? member.name : ''; return; }
+      member.name = name;
+      saveAll();
+      updateGroupControls();
+    });
+    members.addEventListener('click', e => {
+      const btn = e.target.closest('.group-member__remove');
+      if (!btn) return;
+      const member = memberById(btn.closest('.group-member').dataset.id);
+      if (!member || !confirm(`Remove ${member.name} from your group?`)) return;
+      group = group.filter(m => m !== member);
+      saveAll();
+      updateGroupControls();
+      renderGroupMembers();
+    });
+  }
+
+  // ---- TAGS ----
+  // Free-form labels ("see with Dana", "check live only") saved next to
+  // ratings and notes. Tags match case-insensitively; a new tag reuses the
+  // spelling of one already in use so the filter shows one button for it.
+  const TAG_MAX_LENGTH = 40;
+
+  function tagsFor(key) {
+    return tags[key] || [];
+  }
+
+  function hasTag(key, tag) {
+    const t = tag.toLowerCase();
+    return tagsFor(key).some(x => x.toLowerCase() === t);
+  }
+
+  // [[tag, artist count], …], most used first
+  function allTags() {
+    const counts = new Map();
+    for (const list of Object.values(tags)) {
+      for (const tag of list) {
+        const t = tag.toLowerCase();
+        const entry = counts.get(t) || [tag, 0];
+        entry[1]++;
+        counts.set(t, entry);
+      }
+    }
+    return [...counts.values()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  }
+
+  function addTag(key, raw) {
+    let tag = String(raw || '').replace(/\s+/g, ' ').trim().slice(0, TAG_MAX_LENGTH);
+    if (!tag || hasTag(key, tag)) return false;
+    const existing = allTags().find(([t]) => t.toLowerCase() === tag.toLowerCase());
+    if (existing) tag = existing[0];
+    tags[key] = [...tagsFor(key), tag];
+    return true;
+  }
+
+  function removeTag(key, tag) {
+    const t = tag.toLowerCase();
+    const left = tagsFor(key).filter(x => x.toLowerCase() !== t);
+    if (left.length) tags[key] = left;
+    else delete tags[key];
+  }
+
+  // Imported tags are added to the artist's own, not swapped in
+  function mergeTags(incoming) {
+    for (const [key, list] of Object.entries(incoming || {})) {
+      if (Array.isArray(list)) list.forEach(tag => addTag(key, tag));
+    }
+  }
+
+  function tagEditorHtml(key) {
+    const chips = tagsFor(key).map(tag => `
+      <span class="tag-chip">${escHtml(tag)}<button type="button" class="tag-chip__remove" data-tag="${escAttr(tag)}" aria-label="Remove tag ${escAttr(tag)}">✕</button></span>`).join('');
+    return `${chips}<input type="text" class="tag-input" placeholder="+ tag" list="tag-options" maxlength="${TAG_MAX_LENGTH}">`;
+  }
+
+  // Redraw every editor for this artist (card and detail modal)
+  function refreshTagEditors(key) {
+    document.querySelectorAll('.tag-editor').forEach(el => {
+      if (el.dataset.key === key) el.innerHTML = tagEditorHtml(key);
+    });
+  }
+
+  // Tag facet buttons plus the datalist the tag inputs suggest from. A tag
+  // filter whose last use was removed falls back to All.
+  function buildTagFilter() {
+    const list = allTags();
+    if (currentFilters.tag && !list.some(([t]) => t.toLowerCase() === currentFilters.tag.toLowerCase())) {
+      currentFilters.tag = null;
+    }
+    const container = document.getElementById('filter-tag');
+    container.innerHTML = `<button class="filter-btn${currentFilters.tag ? '' : ' active'}" data-tag="">All</button>` +
+      list.map(([tag, count]) => `<button class="filter-btn${tag === currentFilters.tag ? ' active' : ''}" data-tag="${escAttr(tag)}">${escHtml(tag)} <span class="filter-btn__count">${count}</span></button>`).join('');
+    document.getElementById('tags-section').hidden = !list.length;
+    document.getElementById('tag-options').innerHTML =
+      list.map(([tag]) => `<option value="${escAttr(tag)}">`).join('');
+  }
+
+  // Enter keeps the cursor in the editor for the next tag; leaving the field
+  // just saves what was typed
+  function commitTagInput(input, refocus) {
+    const editor = input.closest('.tag-editor');
+    const key = editor.dataset.key;
+    const value = input.value;
+    input.value = '';
+    if (!addTag(key, value)) return;
+    saveAll();
+    refreshTagEditors(key);
+    buildTagFilter();
+    if (refocus) editor.querySelector('.tag-input').focus();
+  }
+
+  function setupTags() {
+    setupFilterGroup('filter-tag', 'tag', 'tag');
+    buildTagFilter();
+
+    // Editors are redrawn on every change, so listen once at the document
+    document.addEventListener('click', (e) => {
+      const remove = e.target.closest && e.target.closest('.tag-chip__remove');
+      if (!remove) return;
+      const key = remove.closest('.tag-editor').dataset.key;
+      removeTag(key, remove.dataset.tag);
+      saveAll();
+      refreshTagEditors(key);
+      buildTagFilter();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter' || !e.target.classList || !e.target.classList.contains('tag-input')) return;
+      e.preventDefault();
+      commitTagInput(e.target, true);
+    });
+    document.addEventListener('focusout', (e) => {
+      if (e.target.classList && e.target.classList.contains('tag-input') && e.target.value.trim()) {
+        commitTagInput(e.target, false);
+      }
+    });
+  }
+
+  // ---- FOR YOU ----
+  // A local recommender: unrated artists score by what they share with the ones
+  // rated at the "good" level or above — subgenre, genre, home city/country,
+  // showcases (artists.json carries shows.json's showcase names as
+  // events[].presented_by) and sound words in the bio. Rarer shared traits
+  // count for more. The same scoring drives "Similar artists" on the detail
+  // modal, with the one artist as the profile.
+  const SIMILAR_WEIGHTS = { showcase: 2.5, subgenre: 3, genre: 1.5, city: 1.5, country: 0.5, word: 0.6 };
+  const SIMILAR_LIMIT = 6;
+  const SOUND_WORDS = new Set(`acoustic afrobeat afrobeats amapiano ambient americana anthemic atmospheric
+    bluegrass blues brass breakbeat cinematic cumbia dancehall darkwave disco dreamy drone dubstep electro
+    emo folk funk fuzz garage glam gospel grime grunge hardcore house hyperpop hypnotic industrial jangly
+    jazz krautrock lush melancholic metal minimal noise orchestral psychedelic punk reggae reggaeton riffs
+    rockabilly shoegaze ska slowcore soul stoner surf synth synthpop techno tejano trap twang zydeco`.split(/\s+/));
+
+  let similarityIndex = null;   // { features: Map(artistKey → features), rarity: Map('kind:value' → weight) }
+  let forYou = null;            // Map(artist → { score, reasons }) while the For You sort is on
+
+  function artistFeatures(artist) {
+    const showcases = new Set();
+    const { official, unofficial } = showsForArtist(artist);
+    for (const s of [...official, ...unofficial]) {
+      const name = (s.presented_by || s.showcase || '').trim();
+      if (name) showcases.add(name);
+    }
+    const words = new Set(FestWizSearch.fold(artist.description || '').split(/[^a-z]+/).filter(w => SOUND_WORDS.has(w)));
+    return {
+      showcase: [...showcases],
+      subgenre: artist.subgenre ? [artist.subgenre] : [],
+      genre: artist.genre ? [artist.genre] : [],
+      city: artist.city ? [artist.city] : [],
+      country: artist.country ? [artist.country] : [],
+      word: [...words],
+    };
+  }
+
+  // Features per artist, and how rare each trait is (log inverse frequency)
+  function getSimilarityIndex() {
+    if (similarityIndex) return similarityIndex;
+    const features = new Map();
+    const counts = new Map();
+    for (const a of allArtists) {
+      const f = artistFeatures(a);
+      features.set(artistKey(a), f);
+      for (const kind in f) {
+        for (const v of f[kind]) counts.set(`${kind}:${v}`, (counts.get(`${kind}:${v}`) || 0) + 1);
+      }
+    }
+    const rarity = new Map();
+    for (const [trait, n] of counts) rarity.set(trait, Math.log(1 + allArtists.length / n));
+    similarityIndex = { features, rarity };
+    return similarityIndex;
+  }
+
+  // Which of the profile artists have each trait: Map('kind:value' → [artist])
+  function traitProfile(artists) {
+    const { features } = getSimilarityIndex();
+    const profile = new Map();
+    for (const a of artists) {
+      const f = features.get(artistKey(a));
+      if (!f) continue;
+      for (const kind in f) {
+        for (const v of f[kind]) {
+          const trait = `${kind}:${v}`;
+          if (!profile.has(trait)) profile.set(trait, []);
+          profile.get(trait).push(a);
+        }
+      }
+    }
+    return profile;
+  }
+
+  function reasonText(kind, value, owners, single) {
+    switch (kind) {
+      case 'showcase': return single ? `also at ${value}` : `shares showcase with ${owners[0].name}`;
+      case 'subgenre':
+      case 'genre':    return `also ${value}`;
+      case 'city':
+      case 'country':  return `also from ${value}`;
+      case 'word':     return `bio mentions ${value}`;
+    }
+    return '';
+  }
+
+  // { score, reasons } for one artist against a trait profile. A genre reason
+  // is dropped when the subgenre already says it, country when city does.
+  function scoreAgainst(artist, profile, single) {
+    const { features, rarity } = getSimilarityIndex();
+    const f = features.get(artistKey(artist));
+    if (!f) return null;
+    const hits = [];
+    let wordScore = 0;
+    for (const kind in f) {
+      for (const v of f[kind]) {
+        const owners = profile.get(`${kind}:${v}`);
+        if (!owners) continue;
+        const points = SIMILAR_WEIGHTS[kind] * rarity.get(`${kind}:${v}`) * Math.log2(1 + owners.length);
+        if (kind === 'word') wordScore += points;
+        hits.push({ kind, value: v, owners, points });
+      }
+    }
+    // Bio words add up to a few points at most so a long bio can't swamp the rest
+    const score = hits.reduce((sum, h) => sum + (h.kind === 'word' ? 0 : h.points), 0) + Math.min(wordScore, 6);
+    if (!score) return null;
+    // The strongest hit of each kind, two kinds at most
+    const best = new Map();
+    for (const h of hits) {
+      if (!best.has(h.kind) || h.points > best.get(h.kind).points) best.set(h.kind, h);
+    }
+    const reasons = [...best.values()]
+      .filter(h => !(h.kind === 'genre' && best.has('subgenre')) && !(h.kind === 'country' && best.has('city')))
+      .sort((x, y) => y.points - x.points)
+      .slice(0, 2)
+      .map(h => reasonText(h.kind, h.value, h.owners, single));
+    return { score, reasons };
+  }
+
+  // Map(unrated artist → { score, reasons }) against everything rated good or better
+  function forYouScores() {
+    const liked = allArtists.filter(a => (ratings[artistKey(a)] || 0) >= ratingScale.good);
+    const scores = new Map();
+    if (!liked.length) return scores;
+    const profile = traitProfile(liked);
+    for (const a of allArtists) {
+      if (ratings[artistKey(a)]) continue;
+      const match = scoreAgainst(a, profile, false);
+      if (match) scores.set(a, match);
+    }
+    return scores;
+  }
+
+  // Closest artists to one artist, best first: [{ artist, score, reasons }]
+  function similarArtists(artist) {
+    const profile = traitProfile([artist]);
+    const key = artistKey(artist);
+    const out = [];
+    for (const a of allArtists) {
+      if (artistKey(a) === key) continue;
+      const match = scoreAgainst(a, profile, true);
+      if (match) out.push({ artist: a, ...match });
+    }
+    return out.sort((x, y) => y.score - x.score || x.artist.name.localeCompare(y.artist.name)).slice(0, SIMILAR_LIMIT);
+  }
+
+  // ---- RATING HISTORY ----
+  // Every rating and note change is logged with a timestamp in the saved state
+  // (ratingHistory). Undo/redo stacks only cover this visit; stepping through
+  // them logs ordinary entries tagged with `via`, so the log stays append-only.
+  const HISTORY_LIMIT = 2000; // oldest entries drop off so saved state stays small
+  let undoStack = [];
+  let redoStack = [];
+
+  function logChange(key, name, field, from, to, via) {
+    const entry = { t: Date.now(), key, name, field, from: from || null, to: to || null };
+    if (via) entry.via = via;
+    ratingHistory.push(entry);
+    if (ratingHistory.length > HISTORY_LIMIT) ratingHistory.splice(0, ratingHistory.length - HISTORY_LIMIT);
+    return entry;
+  }
+
+  // A change the user just made on a card: log it and make it undoable.
+  // Callers apply the change and save.
+  function trackChange(key, name, field, from, to) {
+    const entry = logChange(key, name, field, from, to);
+    // A new rating drops the carried-forward marker; undo puts it back
+    if (field === 'rating' && carried[key]) entry.carried = carried[key];
+    undoStack.push(entry);
+    redoStack = [];
+    updateUndoButtons();
+  }
+
+  function setArtistValue(key, name, field, value) {
+    if (field === 'rating') {
+      if (value) {
+        ratings[key] = value;
+        artistNames[key] = name;
+        listenLater = listenLater.filter(k => k !== key); // heard it
+      } else {
+        delete ratings[key];
+        delete artistNames[key];
+      }
+      delete carried[key];
+    } else if (value) {
+      notes[key] = value;
+    } else {
+      delete notes[key];
+    }
+  }
+
+  // Rate an artist from outside its card (listening session, mini-player)
+  function applyRating(artist, value) {
+    const key = artistKey(artist);
+    if ((ratings[key] || null) === (value || null)) return;
+    trackChange(key, artist.name, 'rating', ratings[key], value);
+    setArtistValue(key, artist.name, 'rating', value);
+    saveRatings();
+    refreshArtistCard(key);
+    updateStats();
+  }
+
+  // Bring an on-screen card in line with ratings/notes after undo/redo
+  function refreshArtistCard(key) {
+    const input = [...document.querySelectorAll('.notes-input')].find(el => el.dataset.key === key);
+    if (!input) return;
+    input.value = notes[key] || '';
+    updateCardStyle(input.closest('.artist-card'), key);
+  }
+
+  function stepHistory(fromStack, toStack, via) {
+    const entry = fromStack.pop();
+    if (!entry) return;
+    const [before, after] = via === 'undo' ? [entry.to, entry.from] : [entry.from, entry.to];
+    setArtistValue(entry.key, entry.name, entry.field, after);
+    if (via === 'undo' && entry.carried) carried[entry.key] = entry.carried;
+    logChange(entry.key, entry.name, entry.field, before, after, via);
+    toStack.push(entry);
+    saveAll();
+    refreshArtistCard(entry.key);
+    if (session && session.open) renderListenSession();
+    renderMiniPlayer();
+    updateStats();
+    updateUndoButtons();
+  }
+
+  function undo() { stepHistory(undoStack, redoStack, 'undo'); }
+  function redo() { stepHistory(redoStack, undoStack, 'redo'); }
+
+  function updateUndoButtons() {
+    document.getElementById('btn-undo').disabled = undoStack.length === 0;
+    document.getElementById('btn-redo').disabled = redoStack.length === 0;
+  }
+
+  // artistKey → when it was last given a rating
+  function lastRatedTimes() {
+    const times = new Map();
+    for (const h of ratingHistory) {
+      if (h.field === 'rating' && h.to) times.set(h.key, h.t);
+    }
+    return times;
+  }
+
+  function ratingText(r) {
+    const level = FestWizRatingScale.level(ratingScale, r);
+    return level ? `${r} ${level.label}` : String(r);
+  }
+
+  function historyRowHtml(h) {
+    const when = new Date(h.t).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    let what;
+    if (h.field === 'rating') {
+      what = h.to ? `Rated ${ratingText(h.to)}` : 'Cleared rating';
+      if (h.from) what += ` (was ${h.was || ratingText(h.from)})`;
+    } else {
+      what = !h.to ? 'Removed note' : h.from ? 'Edited note' : 'Added note';
+    }
+    const note = h.field === 'note' && h.to ? `<div class="artist-history__note">${escHtml(h.to)}</div>` : '';
+    return `
+      <div class="artist-history__row">
+        <span class="artist-history__when">${escHtml(when)}</span>
+        <span class="artist-history__what">${escHtml(what)}${h.via ? ` <span class="artist-history__via">${h.via}</span>` : ''}</span>
+        ${note}
+      </div>`;
+  }
+
+  function setupUndo() {
+    document.getElementById('btn-undo').addEventListener('click', undo);
+    document.getElementById('btn-redo').addEventListener('click', redo);
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac); text fields keep their own undo
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+      e.preventDefault();
+      if (e.shiftKey) redo();
+      else undo();
+    });
+    updateUndoButtons();
   }
 
   // ---- GENRE LIST ----
@@ -382,6 +1441,11 @@
       list = list.filter(a => a.subgenre === currentFilters.subgenre);
     }
 
+    // Tag filter
+    if (currentFilters.tag) {
+      list = list.filter(a => hasTag(artistKey(a), currentFilters.tag));
+    }
+
     // Hide "hide" tier genres (unless a specific genre is selected, or searching)
     if (!currentFilters.genre && !currentFilters.search) {
       list = list.filter(a => genreTiers[a.genre] !== 'hide');
@@ -393,18 +1457,16 @@
     }
 
     // Search
+    let searchScores = null;
     if (currentFilters.search) {
-      const q = currentFilters.search.toLowerCase();
-      list = list.filter(a =>
-        a.name.toLowerCase().includes(q) ||
-        (a.genre || '').toLowerCase().includes(q) ||
-        (a.subgenre || '').toLowerCase().includes(q) ||
-        (a.location || '').toLowerCase().includes(q) ||
-        (a.country || '').toLowerCase().includes(q) ||
-        (a.city || '').toLowerCase().includes(q) ||
-        (a.events || []).some(e => (e.venue || '').toLowerCase().includes(q)) ||
-        allUnofficialShows.some(s => normForMatch(s.artist_name) === normForMatch(a.name) && (s.venue || '').toLowerCase().includes(q))
-      );
+      const compiled = FestWizSearch.compile(currentFilters.search);
+      searchScores = new Map();
+      for (const a of list) {
+        if (!artistMatchesClauses(a, compiled.clauses)) continue;
+        const score = artistSearchScore(a, compiled);
+        if (score > 0) searchScores.set(a, score);
+      }
+      list = list.filter(a => searchScores.has(a));
     }
 
     // Rated filter
@@ -413,7 +1475,16 @@
     } else if (currentFilters.rated === 'rated') {
       list = list.filter(a => ratings[artistKey(a)]);
     } else if (currentFilters.rated === '3+') {
-      list = list.filter(a => (ratings[artistKey(a)] || 0) >= 3);
+      list = list.filter(a => (ratings[artistKey(a)] || 0) >= ratingScale.good);
+    } else if (currentFilters.rated === 'later') {
+      list = list.filter(a => listenLater.includes(artistKey(a)));
+    }
+
+    // Group consensus filter
+    if (currentFilters.consensus === 'anyone-top') {
+      list = list.filter(a => groupRatings(artistKey(a)).includes(ratingScale.max));
+    } else if (currentFilters.consensus === 'everyone-good') {
+      list = list.filter(a => groupRatings(artistKey(a)).every(r => r >= ratingScale.good));
     }
 
     // Source filter
@@ -433,6 +1504,8 @@
     // Sorting
     const tierOrder = { high: 0, medium: 1, low: 2, none: 3, hide: 4 };
 
+    const lastRated = currentFilters.sort === 'recent' ? lastRatedTimes() : null;
+    forYou = currentFilters.sort === 'foryou' ? forYouScores() : null;
     list = [...list].sort((a, b) => {
       switch (currentFilters.sort) {
         case 'subgenre': {
@@ -445,8 +1518,33 @@
         case 'rating':
           // Primary: rating (highest first), secondary: artist name
           return (ratings[artistKey(b)] || 0) - (ratings[artistKey(a)] || 0) || a.name.localeCompare(b.name);
+        case 'recent': {
+          // Latest rating first; rated before history was kept next, then unrated
+          const ra = ratings[artistKey(a)] ? lastRated.get(artistKey(a)) || 1 : 0;
+          const rb = ratings[artistKey(b)] ? lastRated.get(artistKey(b)) || 1 : 0;
+          return rb - ra || a.name.localeCompare(b.name);
+        }
         case 'country':
           return (a.country || '').localeCompare(b.country || '') || a.name.localeCompare(b.name);
+        case 'groupavg':
+        case 'groupmin': {
+          // Highest group average first; or, for the minimum, most raters first
+          // and then the highest least-keen rating among them. Nobody-rated last.
+          const ca = consensus(artistKey(a)), cb = consensus(artistKey(b));
+          if (!ca || !cb) return (cb ? 1 : 0) - (ca ? 1 : 0) || a.name.localeCompare(b.name);
+          if (currentFilters.sort === 'groupmin') {
+            return cb.count - ca.count || cb.min - ca.min || cb.avg - ca.avg || a.name.localeCompare(b.name);
+          }
+          return cb.avg - ca.avg || cb.count - ca.count || a.name.localeCompare(b.name);
+        }
+        case 'foryou': {
+          // Best unrated matches first, then the other unrated, then rated
+          const fa = forYou.get(a), fb = forYou.get(b);
+          const pa = fa ? 0 : ratings[artistKey(a)] ? 2 : 1;
+          const pb = fb ? 0 : ratings[artistKey(b)] ? 2 : 1;
+          if (pa !== pb) return pa - pb;
+          return (fb ? fb.score : 0) - (fa ? fa.score : 0) || a.name.localeCompare(b.name);
+        }
         case 'genre': {
           // Primary: genre tier, secondary: genre name, tertiary: artist name
           const gtA = tierOrder[genreTiers[a.genre] || 'none'];
@@ -455,8 +1553,13 @@
           return (a.genre || '').localeCompare(b.genre || '') || a.name.localeCompare(b.name);
         }
         default: {
-          // Name sort: 3-tier when picks are visible (rated → picks → regular unrated)
-          if (currentFilters.hidePicks !== 'hide') {
+          // Searching: best matches first, the usual order among equal scores
+          if (searchScores) {
+            const diff = searchScores.get(b) - searchScores.get(a);
+            if (diff) return diff;
+          }
+          // Name sort: 3-tier when any pick list is on (rated → picks → regular unrated)
+          if (pickLists.some(l => l.enabled)) {
             const aRating = ratings[artistKey(a)] || 0;
             const bRating = ratings[artistKey(b)] || 0;
             const aPri = aRating > 0 ? 0 : isRecommended(a) ? 1 : 2;
@@ -482,6 +1585,7 @@
   function renderArtists() {
     const main = document.getElementById('main-content');
     const filtered = getFilteredArtists();
+    updateSearchHint();
 
     // Clear old content (keep loading div hidden)
     const loading = document.getElementById('loading');
@@ -564,16 +1668,14 @@
 
   function renderGroupedByRating(main, artists) {
     const ratingMeta = [
-      { r: 4, label: '4 \u2013 Hell yeah' },
-      { r: 3, label: '3 \u2013 Psyched' },
-      { r: 2, label: '2 \u2013 Sure' },
-      { r: 1, label: '1 \u2013 Nope' },
+      ...ratingScale.levels.map(l => ({ r: l.value, label: `${l.value} \u2013 ${l.label}` })).reverse(),
       { r: 0, label: 'Unrated' },
     ];
-    const groups = { 4: [], 3: [], 2: [], 1: [], 0: [] };
+    const groups = {};
+    for (const { r } of ratingMeta) groups[r] = [];
     for (const a of artists) {
       const r = ratings[artistKey(a)] || 0;
-      groups[r].push(a);
+      (groups[r] || groups[0]).push(a);
     }
     for (const { r, label } of ratingMeta) {
       const items = groups[r];
@@ -610,11 +1712,13 @@
 
     if (rating === 0) {
       card.classList.add('artist-card--unrated');
-      if (isRecommended(artist) && currentFilters.hidePicks !== 'hide') {
+      const picks = pickListsFor(artist);
+      if (picks.length) {
         card.classList.add('artist-card--fw-pick');
+        card.style.setProperty('--pick-color', FestWizPickLists.colors(picks[0]).css);
       }
     } else {
-      card.classList.add(`artist-card--rated-${rating}`);
+      card.classList.add(...ratedCardClasses(rating));
     }
 
     const location = artist.location || [artist.city, artist.state, artist.country].filter(Boolean).join(', ');
@@ -647,37 +1751,56 @@
     card.innerHTML = `
       ${badge}
       <div class="artist-card__header">
-        <div class="artist-card__name">${escHtml(artist.name)}</div>
+        <div class="artist-card__name">${highlightSearch(artist.name)}</div>
       </div>
       <div class="artist-card__meta">
-        ${genreDisplay ? `<span class="artist-card__genre">${escHtml(genreDisplay)}</span>` : ''}
-        ${location ? `${genreDisplay ? ' &middot; ' : ''}${escHtml(location)}` : ''}
+        ${genreDisplay ? `<span class="artist-card__genre">${highlightSearch(genreDisplay)}</span>` : ''}
+        ${location ? `${genreDisplay ? ' &middot; ' : ''}${highlightSearch(location)}` : ''}
       </div>
       <div class="artist-card__body">
         ${descShort ? `<div class="artist-card__desc">${escHtml(descShort)}</div>` : ''}
         ${linksHtml ? `<div class="artist-card__links">${linksHtml}</div>` : ''}
+        ${embedSlotHtml(artist)}
         <div class="rating-bar">
-          <button class="rating-btn rating-btn--1 ${rating === 1 ? 'active' : ''}" data-rating="1">1 Nope</button>
-          <button class="rating-btn rating-btn--2 ${rating === 2 ? 'active' : ''}" data-rating="2">2 Sure</button>
-          <button class="rating-btn rating-btn--3 ${rating === 3 ? 'active' : ''}" data-rating="3">3 Psyched</button>
-          <button class="rating-btn rating-btn--4 ${rating === 4 ? 'active' : ''}" data-rating="4">4 Hell yeah</button>
+          ${ratingScale.levels.map(l => `<button class="rating-btn rating-btn--${l.value} ${rating === l.value ? 'active' : ''}" data-rating="${l.value}">${l.value} ${escHtml(l.label)}</button>`).join('')}
         </div>
         <div class="artist-card__notes">
           <input type="text" class="notes-input" placeholder="Describe it..." value="${escAttr(notes[key] || '')}" data-key="${escAttr(key)}">
         </div>
+        ${groupRatingsHtml(key)}
+        <div class="tag-editor" data-key="${escAttr(key)}">${tagEditorHtml(key)}</div>
       </div>
     `;
 
-    // FestWiz Pick badge (appended after innerHTML so it's a real DOM element)
-    if (rating === 0 && isRecommended(artist) && currentFilters.hidePicks !== 'hide') {
+    // Carried-forward badge: rating came from a previous festival and hasn't been re-rated
+    if (carried[key]) {
+      const carriedBadge = document.createElement('div');
+      carriedBadge.className = 'carried-badge';
+      carriedBadge.textContent = `\u21A9 Carried from ${carried[key]}`;
+      card.querySelector('.artist-card__body').prepend(carriedBadge);
+    }
+
+    // Why the For You sort put this artist here
+    const match = forYou && forYou.get(artist);
+    if (match) {
+      const reason = document.createElement('div');
+      reason.className = 'artist-card__reason';
+      reason.textContent = `For you: ${match.reasons.join(', ')}`;
+      card.querySelector('.artist-card__body').prepend(reason);
+    }
+
+    // Pick list badges (appended after innerHTML so they're real DOM elements)
+    if (rating === 0 && isRecommended(artist)) {
       const pickBadge = document.createElement('div');
       pickBadge.className = 'fw-pick-badge';
-      pickBadge.textContent = '★ FestWiz Pick';
+      pickBadge.innerHTML = pickBadgesHtml(pickListsFor(artist), 'fw-pick-badge__list');
       card.querySelector('.artist-card__body').prepend(pickBadge);
     }
 
-    // Notes handler
+    // Notes handler — saved as typed, logged to history once per edit (on change)
     const notesInput = card.querySelector('.notes-input');
+    let noteBefore = null;
+    notesInput.addEventListener('focus', () => { noteBefore = notes[key] || null; });
     notesInput.addEventListener('input', () => {
       const val = notesInput.value;
       if (val) {
@@ -687,6 +1810,13 @@
       }
       saveNotes();
     });
+    notesInput.addEventListener('change', () => {
+      const noteAfter = notes[key] || null;
+      if (noteAfter === noteBefore) return;
+      trackChange(key, artist.name, 'note', noteBefore, noteAfter);
+      noteBefore = noteAfter;
+      saveNotes();
+    });
 
     // Rating button handlers
     card.querySelectorAll('.rating-btn').forEach(btn => {
@@ -694,52 +1824,77 @@
         e.stopPropagation();
         const newRating = parseInt(btn.dataset.rating);
         const isToggleOff = ratings[key] === newRating;
+        trackChange(key, artist.name, 'rating', ratings[key], isToggleOff ? null : newRating);
 
         // Toggle off if clicking the same rating
         if (isToggleOff) {
           delete ratings[key];
+          delete artistNames[key];
         } else {
           ratings[key] = newRating;
+          artistNames[key] = artist.name;
+          listenLater = listenLater.filter(k => k !== key);
         }
+        // A fresh rating replaces one carried forward from last year
+        delete carried[key];
 
         saveRatings();
         updateCardStyle(card, key);
         updateStats();
+        renderMiniPlayer();
 
-        // Celebratory flash for 3 (Psyched) or 4 (Hell Yeah)
-        if (!isToggleOff && newRating >= 3) {
-          card.classList.remove('artist-card--celebrate-3', 'artist-card--celebrate-4');
+        // Celebratory flash for the good levels (3 Psyched / 4 Hell Yeah on the classic scale)
+        if (!isToggleOff && newRating >= ratingScale.good) {
+          const celebrate = newRating === ratingScale.max ? 'artist-card--celebrate-top' : 'artist-card--celebrate';
+          card.classList.remove('artist-card--celebrate', 'artist-card--celebrate-top');
           void card.offsetWidth; // restart animation if same rating clicked again
-          card.classList.add(`artist-card--celebrate-${newRating}`);
-          setTimeout(() => card.classList.remove(`artist-card--celebrate-${newRating}`), 520);
+          card.style.setProperty('--celebrate-color', `var(--rating-${newRating})`);
+          card.classList.add(celebrate);
+          setTimeout(() => card.classList.remove(celebrate), 520);
         }
       });
     });
 
     // Open detail modal on card click (not on interactive elements)
     card.addEventListener('click', (e) => {
-      if (e.target.closest('.rating-btn, .notes-input, .music-link, a, button')) return;
+      if (e.target.closest('.rating-btn, .notes-input, .tag-editor, .embed-slot, .music-link, a, button')) return;
       openArtistDetail(artist);
     });
 
     return card;
   }
 
+  // rated-N colors the card; the bottom one or two levels fade, the top glows
+  function ratedCardClasses(rating) {
+    const classes = [`artist-card--rated-${rating}`];
+    if (rating === 1) classes.push('artist-card--lowest');
+    else if (rating === 2 && ratingScale.max >= 4) classes.push('artist-card--low');
+    if (rating === ratingScale.max) classes.push('artist-card--top');
+    return classes;
+  }
+
   function updateCardStyle(card, key) {
     const rating = ratings[key] || 0;
 
     // Remove all rating classes (including fw-pick)
-    card.classList.remove('artist-card--unrated', 'artist-card--fw-pick', 'artist-card--rated-1', 'artist-card--rated-2', 'artist-card--rated-3', 'artist-card--rated-4');
+    card.classList.remove('artist-card--unrated', 'artist-card--fw-pick', 'artist-card--lowest', 'artist-card--low', 'artist-card--top');
+    card.style.removeProperty('--pick-color');
+    for (let n = 1; n <= FestWizRatingScale.MAX_LEVELS; n++) card.classList.remove(`artist-card--rated-${n}`);
 
     if (rating === 0) {
       card.classList.add('artist-card--unrated');
     } else {
-      card.classList.add(`artist-card--rated-${rating}`);
+      card.classList.add(...ratedCardClasses(rating));
       // Remove the fw-pick badge element if one exists
       const pickBadge = card.querySelector('.fw-pick-badge');
       if (pickBadge) pickBadge.remove();
     }
 
+    if (!carried[key]) {
+      const carriedBadge = card.querySelector('.carried-badge');
+      if (carriedBadge) carriedBadge.remove();
+    }
+
     // Update button active states
     card.querySelectorAll('.rating-btn').forEach(btn => {
       const r = parseInt(btn.dataset.rating);
@@ -793,21 +1948,6 @@
     // Sort
     setupFilterGroup('filter-sort', 'sort', 'sort');
 
-    // FestWiz Picks toggle — single handler so save is atomic with state update
-    const picksContainer = document.getElementById('filter-fw-picks');
-    picksContainer.querySelectorAll('.filter-btn').forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.filter === currentFilters.hidePicks);
-    });
-    picksContainer.addEventListener('click', e => {
-      const btn = e.target.closest('.filter-btn');
-      if (!btn) return;
-      picksContainer.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      currentFilters.hidePicks = btn.dataset.filter;
-      saveToLocalStorage();
-      renderArtists();
-      updateStats();
-    });
   }
 
   function setupFilterGroup(containerId, filterKey, attrName) {
@@ -881,6 +2021,7 @@
       allArtists.push(artist);
       userArtists.push(artist);
       saveAll();
+      buildShowIndex();
 
       // Clear form
       modal.querySelectorAll('input, textarea').forEach(el => el.value = '');
@@ -901,6 +2042,13 @@
       modal.classList.add('visible');
     });
 
+    document.getElementById('btn-accept-genre-tiers').addEventListener('click', () => {
+      for (const [genre, s] of bulkTierSuggestions(tierSuggestions('genre', genreTiers), genreTiers)) genreTiers[genre] = s.tier;
+      saveGenreTiers();
+      renderTierList();
+      buildGenreList();
+    });
+
     document.getElementById('btn-close-tiers').addEventListener('click', () => {
       modal.classList.remove('visible');
       buildGenreList();
@@ -921,14 +2069,16 @@
   function renderTierList() {
     const container = document.getElementById('genre-tier-list');
     const genres = getGenres();
+    const suggestions = tierSuggestions('genre', genreTiers);
     container.innerHTML = '';
+    renderTierSuggestNote('genre', suggestions);
 
     for (const [genre, count] of genres) {
       const tier = genreTiers[genre] || '';
       const row = document.createElement('div');
       row.style.cssText = 'display:flex; align-items:center; gap:8px; padding:6px 0; border-bottom:1px solid var(--border);';
       row.innerHTML = `
-        <span style="flex:1; font-size:14px;">${escHtml(genre)} <span style="color:var(--text-muted); font-size:12px;">(${count})</span></span>
+        <span style="flex:1; font-size:14px;">${escHtml(genre)} <span style="color:var(--text-muted); font-size:12px;">(${count})</span>${tierSuggestionHtml(suggestions.get(genre))}</span>
         <div class="tier-selector">
           <button class="tier-btn ${tier === 'high' ? 'active--high' : ''}" data-tier="high">High</button>
           <button class="tier-btn ${tier === 'medium' ? 'active--medium' : ''}" data-tier="medium">Medium</button>
@@ -937,7 +2087,7 @@
         </div>
       `;
 
-      row.querySelectorAll('.tier-btn').forEach(btn => {
+      row.querySelectorAll('.tier-btn, .tier-suggestion__use').forEach(btn => {
         btn.addEventListener('click', () => {
           const newTier = btn.dataset.tier;
           if (genreTiers[genre] === newTier) {
@@ -955,6 +2105,201 @@
     }
   }
 
+  // ---- TIER SUGGESTIONS ----
+  // Once enough artists are rated, suggest a tier per genre/subgenre from its
+  // average rating. Averages are read on a 0–1 line so the cut-offs hold on
+  // any rating scale; confidence grows with the number of ratings behind them.
+  const TIER_SUGGEST_MIN_RATINGS = 24; // total rated artists before any suggestion
+  const TIER_SUGGEST_MIN_SAMPLE = 3;   // ratings in a genre before it gets one
+
+  function suggestedTier(avg, n) {
+    const t = ratingScale.max > 1 ? (avg - 1) / (ratingScale.max - 1) : 1;
+    if (t >= 0.65) return 'high';
+    if (t >= 0.35) return 'medium';
+    // Only hide a genre that's been turned down consistently
+    return t < 0.1 && n >= 5 ? 'hide' : 'low';
+  }
+
+  function suggestionConfidence(n) {
+    return n >= 12 ? 'high' : n >= 6 ? 'medium' : 'low';
+  }
+
+  // field: 'genre' | 'subgenre'. Returns Map(name → { tier, avg, n, confidence })
+  // for the names whose suggested tier differs from the one set in tiers.
+  function tierSuggestions(field, tiers) {
+    const out = new Map();
+    const rated = allArtists.filter(a => ratings[artistKey(a)]);
+    if (rated.length < TIER_SUGGEST_MIN_RATINGS) return out;
+
+    const totals = new Map();
+    for (const a of rated) {
+      const name = a[field];
+      if (!name) continue;
+      const t = totals.get(name) || { sum: 0, n: 0 };
+      t.sum += ratings[artistKey(a)];
+      t.n++;
+      totals.set(name, t);
+    }
+    for (const [name, { sum, n }] of totals) {
+      if (n < TIER_SUGGEST_MIN_SAMPLE) continue;
+      const avg = sum / n;
+      const tier = suggestedTier(avg, n);
+      if (tiers[name] !== tier) out.set(name, { tier, avg, n, confidence: suggestionConfidence(n) });
+    }
+    return out;
+  }
+
+  // What "Accept all" takes: suggestions resting on enough ratings, for names
+  // without a tier the user set themselves (including "hide")
+  function bulkTierSuggestions(suggestions, tiers) {
+    return new Map([...suggestions].filter(([name, s]) => s.confidence !== 'low' && !tiers[name]));
+  }
+
+  function tierSuggestionHtml(s) {
+    if (!s) return '';
+    const label = s.tier.charAt(0).toUpperCase() + s.tier.slice(1);
+    return `<span class="tier-suggestion tier-suggestion--${s.confidence}" title="${s.confidence} confidence">
+      suggested: ${s.tier} (avg ${s.avg.toFixed(1)} over ${s.n} ratings)
+      <button class="tier-suggestion__use" data-tier="${s.tier}" type="button">Use ${label}</button>
+    </span>`;
+  }
+
+  // The line above the list: how close the user is to getting suggestions,
+  // or how many there are, with the accept-all button shown to match
+  function renderTierSuggestNote(field, suggestions) {
+    const note = document.getElementById(`${field}-tier-suggest-note`);
+    const accept = document.getElementById(`btn-accept-${field}-tiers`);
+    const ratedCount = allArtists.filter(a => ratings[artistKey(a)]).length;
+    const bulk = bulkTierSuggestions(suggestions, field === 'genre' ? genreTiers : subgenreTiers);
+    accept.hidden = bulk.size === 0;
+    accept.textContent = `Accept ${bulk.size} untiered suggestion${bulk.size === 1 ? '' : 's'}`;
+    accept.title = 'The stronger suggestions, for names you haven\'t tiered yourself';
+    if (ratedCount < TIER_SUGGEST_MIN_RATINGS) {
+      note.textContent = `Rate ${TIER_SUGGEST_MIN_RATINGS - ratedCount} more artists to get tier suggestions based on your ratings.`;
+    } else if (suggestions.size) {
+      note.textContent = `${suggestions.size} suggestion${suggestions.size === 1 ? '' : 's'} from your ratings. Fainter ones rest on fewer ratings.`;
+    } else {
+      note.textContent = 'Your tiers match your ratings so far.';
+    }
+  }
+
+  // ---- RATING SCALE ----
+  // Ratings from a share link or backup arrive on the sender's scale (classic
+  // 1–4 if they didn't say); move them onto this user's.
+  function incomingRatings(data) {
+    return FestWizRatingScale.remapRatings(
+      data.ratings, FestWizRatingScale.normalize(data.ratingScale), ratingScale
+    );
+  }
+
+  // Text that names scale levels: "3+4 Only" on the classic scale, "4+5 Only" on five
+  function updateScaleLabels() {
+    const good = ratingScale.levels.filter(l => l.value >= ratingScale.good).map(l => l.value);
+    document.querySelector('#filter-rated [data-filter="3+"]').textContent = `${good.join('+')} Only`;
+    document.querySelector('#filter-consensus [data-filter="anyone-top"]').textContent = `Anyone ${ratingScale.max}`;
+    document.querySelector('#filter-consensus [data-filter="everyone-good"]').textContent = `Everyone ${ratingScale.good}+`;
+  }
+
+  function applyRatingScale(scale) {
+    const before = ratings;
+    ratings = FestWizRatingScale.remapRatings(ratings, ratingScale, scale);
+    for (const member of group) member.ratings = FestWizRatingScale.remapRatings(member.ratings, ratingScale, scale);
+    // History entries (shared with the undo/redo stacks) follow, so they read in the new scale
+    for (const h of ratingHistory) {
+      if (h.field !== 'rating') continue;
+      h.from = FestWizRatingScale.remap(h.from, ratingScale, scale) || null;
+      h.to = FestWizRatingScale.remap(h.to, ratingScale, scale) || null;
+    }
+    // Ratings whose number changed; `was` keeps the old scale's wording
+    for (const key in ratings) {
+      if (ratings[key] === before[key]) continue;
+      const entry = logChange(key, artistNames[key] || '', 'rating', ratings[key], ratings[key], 'scale');
+      entry.was = ratingText(before[key]);
+    }
+    ratingScale = scale;
+    FestWizRatingScale.applyColors(ratingScale);
+    updateScaleLabels();
+    saveAll();
+    renderArtists();
+    updateStats();
+  }
+
+  function setupRatingScale() {
+    const modal     = document.getElementById('modal-rating-scale');
+    const presetSel = document.getElementById('scale-preset');
+    const levelsEl  = document.getElementById('scale-levels');
+    const { PRESETS, MIN_LEVELS, MAX_LEVELS } = FestWizRatingScale;
+    let draft = null; // { preset, levels: [{ label, color }] } being edited
+
+    presetSel.innerHTML = Object.entries(PRESETS)
+      .map(([id, p]) => `<option value="${id}">${escHtml(p.name)}</option>`)
+      .join('') + '<option value="custom">Custom</option>';
+
+    // Color a level shows in the picker: its own, else the theme's --rating-N
+    function shownColor(level, n) {
+      return level.color || getComputedStyle(document.body).getPropertyValue(`--rating-${n}`).trim() || '#888888';
+    }
+
+    function render() {
+      presetSel.value = draft.preset;
+      levelsEl.innerHTML = '';
+      draft.levels.forEach((level, i) => {
+        const row = document.createElement('div');
+        row.className = 'scale-level';
+        row.innerHTML = `
+          <span class="scale-level__num">${i + 1}</span>
+          <input type="text" class="scale-level__label" value="${escAttr(level.label)}" maxlength="20" aria-label="Label for level ${i + 1}">
+          <input type="color" class="scale-level__color" value="${escAttr(shownColor(level, i + 1))}" aria-label="Color for level ${i + 1}">
+        `;
+        row.querySelector('.scale-level__label').addEventListener('input', e => {
+          level.label = e.target.value;
+          draft.preset = 'custom';
+          presetSel.value = 'custom';
+        });
+        row.querySelector('.scale-level__color').addEventListener('input', e => {
+          level.color = e.target.value;
+          draft.preset = 'custom';
+          presetSel.value = 'custom';
+        });
+        levelsEl.appendChild(row);
+      });
+      document.getElementById('btn-scale-add-level').disabled = draft.levels.length >= MAX_LEVELS;
+      document.getElementById('btn-scale-remove-level').disabled = draft.levels.length <= MIN_LEVELS;
+    }
+
+    function close() { modal.classList.remove('visible'); }
+
+    document.getElementById('btn-rating-scale').addEventListener('click', () => {
+      draft = FestWizRatingScale.serialize(ratingScale);
+      render();
+      modal.classList.add('visible');
+    });
+
+    presetSel.addEventListener('change', () => {
+      if (!PRESETS[presetSel.value]) return;
+      draft = FestWizRatingScale.serialize(FestWizRatingScale.normalize({ preset: presetSel.value }));
+      render();
+    });
+
+    document.getElementById('btn-scale-add-level').addEventListener('click', () => {
+      draft.levels.push({ label: '' });
+      draft.preset = 'custom';
+      render();
+    });
+    document.getElementById('btn-scale-remove-level').addEventListener('click', () => {
+      draft.levels.pop();
+      draft.preset = 'custom';
+      render();
+    });
+
+    document.getElementById('btn-save-scale').addEventListener('click', () => {
+      close();
+      applyRatingScale(FestWizRatingScale.normalize(draft));
+    });
+    document.getElementById('btn-cancel-scale').addEventListener('click', close);
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+  }
+
   // ---- SUBGENRE TIERS ----
   function setupSubgenreTiers() {
     const modal = document.getElementById('modal-subgenre-tiers');
@@ -964,6 +2309,13 @@
       modal.classList.add('visible');
     });
 
+    document.getElementById('btn-accept-subgenre-tiers').addEventListener('click', () => {
+      for (const [subgenre, s] of bulkTierSuggestions(tierSuggestions('subgenre', subgenreTiers), subgenreTiers)) subgenreTiers[subgenre] = s.tier;
+      saveSubgenreTiers();
+      renderSubgenreTierList();
+      buildSubgenreList();
+    });
+
     document.getElementById('btn-close-subgenre-tiers').addEventListener('click', () => {
       modal.classList.remove('visible');
       buildSubgenreList();
@@ -984,14 +2336,16 @@
   function renderSubgenreTierList() {
     const container = document.getElementById('subgenre-tier-list');
     const subgenres = getSubgenres();
+    const suggestions = tierSuggestions('subgenre', subgenreTiers);
     container.innerHTML = '';
+    renderTierSuggestNote('subgenre', suggestions);
 
     for (const [subgenre, count] of subgenres) {
       const tier = subgenreTiers[subgenre] || '';
       const row = document.createElement('div');
       row.style.cssText = 'display:flex; align-items:center; gap:8px; padding:6px 0; border-bottom:1px solid var(--border);';
       row.innerHTML = `
-        <span style="flex:1; font-size:14px;">${escHtml(subgenre)} <span style="color:var(--text-muted); font-size:12px;">(${count})</span></span>
+        <span style="flex:1; font-size:14px;">${escHtml(subgenre)} <span style="color:var(--text-muted); font-size:12px;">(${count})</span>${tierSuggestionHtml(suggestions.get(subgenre))}</span>
         <div class="tier-selector">
           <button class="tier-btn ${tier === 'high' ? 'active--high' : ''}" data-tier="high">High</button>
           <button class="tier-btn ${tier === 'medium' ? 'active--medium' : ''}" data-tier="medium">Medium</button>
@@ -1000,7 +2354,7 @@
         </div>
       `;
 
-      row.querySelectorAll('.tier-btn').forEach(btn => {
+      row.querySelectorAll('.tier-btn, .tier-suggestion__use').forEach(btn => {
         btn.addEventListener('click', () => {
           const newTier = btn.dataset.tier;
           if (subgenreTiers[subgenre] === newTier) {
@@ -1035,11 +2389,20 @@
       closeExportModal();
       const data = {
         exportDate: new Date().toISOString(),
+        festival: festival.id,
         ratings: ratings,
+        ratingScale: FestWizRatingScale.serialize(ratingScale),
         notes: notes,
+        tags: tags,
+        listenLater: listenLater,
+        artistNames: artistNames,
         genreTiers: genreTiers,
         subgenreTiers: subgenreTiers,
         userArtists: userArtists,
+        artistAliases: artistAliases,
+        pickLists: pickLists,
+        group: group,
+        groupName: groupName,
       };
       downloadJson(data, 'festwiz_backup.json');
     });
@@ -1047,7 +2410,7 @@
     document.getElementById('btn-export-shortlist').addEventListener('click', () => {
       closeExportModal();
       const shortlist = allArtists
-        .filter(a => (ratings[artistKey(a)] || 0) >= 3)
+        .filter(a => (ratings[artistKey(a)] || 0) >= ratingScale.good)
         .map(a => {
           const linksObj = { ...(a.links || {}) };
           if (a.detail_url) linksObj.official = a.detail_url;
@@ -1084,119 +2447,508 @@
     const importUrlModal    = document.getElementById('modal-import-url');
 
     function closeImportChoice() { importChoiceModal.classList.remove('visible'); }
-    function closeImportUrl()    { importUrlModal.classList.remove('visible'); }
+    function closeImportUrl()    { importUrlModal.classList.remove('visible'); stopShareScan(); }
+
+    document.getElementById('btn-import').addEventListener('click', () => {
+      importChoiceModal.classList.add('visible');
+    });
+    document.getElementById('btn-cancel-import').addEventListener('click', closeImportChoice);
+    importChoiceModal.addEventListener('click', (e) => { if (e.target === importChoiceModal) closeImportChoice(); });
+
+    document.getElementById('btn-import-file').addEventListener('click', () => {
+      closeImportChoice();
+      document.getElementById('import-file-input').click();
+    });
+
+    document.getElementById('btn-import-url').addEventListener('click', () => {
+      closeImportChoice();
+      document.getElementById('import-url-input').value = '';
+      scanParts = null;
+      updateScanStatus();
+      importUrlModal.classList.add('visible');
+      setTimeout(() => document.getElementById('import-url-input').focus(), 100);
+    });
+    document.getElementById('btn-cancel-import-url').addEventListener('click', closeImportUrl);
+    importUrlModal.addEventListener('click', (e) => { if (e.target === importUrlModal) closeImportUrl(); });
+
+    document.getElementById('btn-import-url-submit').addEventListener('click', async () => {
+      const raw = document.getElementById('import-url-input').value.trim();
+      if (!raw) return;
+
+      const encoded = collectShareCode(raw);
+      updateScanStatus();
+      if (!encoded) {
+        alert(`${scanStatusText()} — scan or paste the rest.`);
+        return;
+      }
+
+      const data = await decodeStateFromUrl(encoded);
+      if (!data) {
+        alert('Could not read the import code. Make sure you pasted the full share URL.');
+        return;
+      }
+
+      closeImportUrl();
+      offerShareImport(data);
+    });
+
+    setupShareScan(async encoded => {
+      const data = await decodeStateFromUrl(encoded);
+      if (!data) {
+        alert('Could not read that code. Try scanning it again.');
+        return;
+      }
+      closeImportUrl();
+      offerShareImport(data);
+    });
+
+    document.getElementById('import-file-input').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = (ev) => {
+        try {
+          const data = JSON.parse(ev.target.result);
+          previewImport(data, result => applyBackup(data, result));
+        } catch (err) {
+          alert('Error importing file: ' + err.message);
+        }
+      };
+      reader.readAsText(file);
+      e.target.value = '';
+    });
+
+    // Everything in a backup besides what the preview settled: ratings,
+    // notes and tiers are in by now
+    function applyBackup(data, { skipArtists }) {
+      if (data.tags) {
+        mergeTags(data.tags);
+        saveAll();
+      }
+      if (Array.isArray(data.listenLater)) {
+        listenLater = [...new Set([...listenLater, ...data.listenLater])];
+        saveAll();
+      }
+      if (data.artistNames) {
+        artistNames = { ...artistNames, ...data.artistNames };
+        saveAll();
+      }
+      // Support both new 'userArtists' key and legacy 'unofficialArtists' key from old backups
+      const importedUserArtists = data.userArtists || data.unofficialArtists;
+      if (importedUserArtists && Array.isArray(importedUserArtists)) {
+        for (const ua of importedUserArtists) {
+          const exists = userArtists.some(
+            u => normForMatch(u.name) === normForMatch(ua.name)
+          );
+          if (!exists && !skipArtists.has(normForMatch(ua.name))) {
+            userArtists.push(ua);
+            allArtists.push(ua);
+          }
+        }
+        saveAll();
+      }
+      if (data.artistAliases) {
+        artistAliases = { ...artistAliases, ...data.artistAliases };
+        buildAliasIndex();
+        collapseAliasedArtists();
+        saveAll();
+      }
+      if (Array.isArray(data.pickLists)) {
+        mergePickLists(data.pickLists);
+        saveAll();
+      }
+      if (Array.isArray(data.group)) {
+        const known = new Set(group.map(m => m.name.toLowerCase()));
+        const scale = FestWizRatingScale.normalize(data.ratingScale);
+        data.group.filter(m => m && m.name && !known.has(m.name.toLowerCase())).forEach((m, i) => {
+          group.push({
+            id: m.id && !group.some(g => g.id === m.id) ? m.id : `m-${Date.now().toString(36)}-${i}`,
+            name: String(m.name).trim(),
+            ratings: FestWizRatingScale.remapRatings(m.ratings || {}, scale, ratingScale),
+            updated: m.updated || null,
+          });
+        });
+        if (!groupName && data.groupName) groupName = data.groupName;
+        updateGroupControls();
+        saveAll();
+      }
+      buildShowIndex();
+      buildGenreList();
+      buildSubgenreList();
+      buildTagFilter();
+      renderArtists();
+      updateStats();
+      alert('Import successful!');
+    }
+  }
+
+  function downloadJson(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // ---- IMPORT PREVIEW ----
+  // Before a backup or share link is merged into mine: what's new, what
+  // differs ("you: 2, incoming: 4"), and per item or in bulk whether to keep
+  // mine, take theirs or keep the higher. Added artists in the import that now
+  // have a festival record of their own are flagged and left out by default.
+  const TIER_RANK = { hide: 0, low: 1, medium: 2, high: 3 };
+  let importPreview = null;   // { items, collisions, onApply } while the preview is open
+
+  const IMPORT_SECTIONS = [
+    { kind: 'rating',   title: 'Ratings' },
+    { kind: 'note',     title: 'Notes' },
+    { kind: 'genre',    title: 'Genre tiers' },
+    { kind: 'subgenre', title: 'Subgenre tiers' },
+  ];
+
+  // Entries where the import differs from mine: { kind, key, name, mine, theirs, choice }
+  function importItems(data) {
+    const byKey = new Map(allArtists.map(a => [artistKey(a), a]));
+    const label = key => (byKey.get(key) || {}).name || artistNames[key] || (data.artistNames || {})[key] || key;
+    const items = [];
+    const add = (kind, key, name, mine, theirs) => {
+      if (!theirs || theirs === mine) return;
+      const item = { kind, key, name, mine: mine || null, theirs };
+      item.choice = item.mine === null ? 'theirs' : kind === 'note' ? 'both' : 'higher';
+      items.push(item);
+    };
+    const theirRatings = data.ratings ? incomingRatings(data) : {};
+    for (const key in theirRatings) add('rating', key, label(key), ratings[key], theirRatings[key]);
+    for (const key in data.notes || {}) add('note', key, label(key), notes[key], data.notes[key]);
+    for (const g in data.genreTiers || {}) add('genre', g, g, genreTiers[g], data.genreTiers[g]);
+    for (const g in data.subgenreTiers || {}) add('subgenre', g, g, subgenreTiers[g], data.subgenreTiers[g]);
+    return items.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Incoming added artists I don't have that match an official or unofficial record
+  function importCollisions(data) {
+    const incoming = data.userArtists || data.unofficialArtists;
+    if (!Array.isArray(incoming)) return [];
+    const listed = new Map();
+    for (const a of allArtists) {
+      if (a.source !== 'user') listed.set(normForMatch(canonicalArtistName(a.name)), a);
+    }
+    return incoming
+      .filter(ua => ua && ua.name && !userArtists.some(u => normForMatch(u.name) === normForMatch(ua.name)))
+      .map(ua => ({ artist: ua, match: listed.get(normForMatch(canonicalArtistName(ua.name))), add: false }))
+      .filter(c => c.match);
+  }
+
+  function importChoices(item) {
+    if (item.mine === null) return [['theirs', 'Take it'], ['mine', 'Skip']];
+    const third = item.kind === 'note' ? ['both', 'Keep both'] : ['higher', 'Keep higher'];
+    return [['mine', 'Keep mine'], ['theirs', 'Take theirs'], third];
+  }
+
+  // The value an item ends up with, or undefined to leave mine alone
+  function resolveImportItem(item) {
+    switch (item.choice) {
+      case 'theirs': return item.theirs;
+      case 'both':   return item.mine + NOTE_JOIN + item.theirs;
+      case 'higher': {
+        const rank = v => item.kind === 'rating' ? v : TIER_RANK[v] ?? -1;
+        return rank(item.theirs) > rank(item.mine) ? item.theirs : undefined;
+      }
+      default: return undefined;
+    }
+  }
+
+  function importValueText(item, value) {
+    if (item.kind !== 'note') return String(value);
+    return `"${value.length > 40 ? value.slice(0, 40) + '…' : value}"`;
+  }
+
+  function renderImportPreview() {
+    const { items, collisions } = importPreview;
+    const added = items.filter(i => i.mine === null).length;
+    const parts = [`${added} new`, `${items.length - added} different from yours`];
+    if (collisions.length) parts.push(`${collisions.length} added artist${collisions.length !== 1 ? 's' : ''} now listed officially`);
+    document.getElementById('import-preview-summary').textContent = parts.join(' · ');
+
+    let html = '';
+    for (const { kind, title } of IMPORT_SECTIONS) {
+      const section = items.filter(i => i.kind === kind);
+      if (!section.length) continue;
+      const changed = section.filter(i => i.mine !== null).length;
+      const counts = [changed && `${changed} changed`, section.length - changed && `${section.length - changed} new`].filter(Boolean).join(', ');
+      html += `<details class="import-section"${changed ? ' open' : ''}><summary>${title} — ${counts}</summary>`;
+      for (const item of section) {
+        const diff = item.mine === null
+          ? `incoming: ${escHtml(importValueText(item, item.theirs))}`
+          : `you: ${escHtml(importValueText(item, item.mine))}, incoming: ${escHtml(importValueText(item, item.theirs))}`;
+        html += `<div class="import-item${item.mine === null ? ' import-item--new' : ''}">
+          <span class="import-item__name">${escHtml(item.name)}</span>
+          <span class="import-item__diff">${diff}</span>
+          <select class="import-item__choice" data-i="${items.indexOf(item)}">
+            ${importChoices(item).map(([v, l]) => `<option value="${v}"${v === item.choice ? ' selected' : ''}>${l}</option>`).join('')}
+          </select>
+        </div>`;
+      }
+      html += '</details>';
+    }
+    if (collisions.length) {
+      html += `<details class="import-section" open><summary>Added artists now listed officially — ${collisions.length}</summary>`;
+      collisions.forEach((c, i) => {
+        html += `<label class="import-item import-item--collision">
+          <span class="import-item__name">${escHtml(c.artist.name)}</span>
+          <span class="import-item__diff">matches ${escHtml(c.match.source === 'unofficial' ? 'unofficial' : 'official')} artist "${escHtml(c.match.name)}"</span>
+          <span><input type="checkbox" data-collision="${i}"${c.add ? ' checked' : ''}> Add anyway</span>
+        </label>`;
+      });
+      html += '</details>';
+    }
+    document.getElementById('import-preview-list').innerHTML = html;
+  }
+
+  // Show the preview; onApply({ skipArtists, changed }) runs once the choices
+  // are written. Nothing to settle skips straight to it.
+  function previewImport(data, onApply) {
+    const items = importItems(data);
+    const collisions = importCollisions(data);
+    if (!items.length && !collisions.length) {
+      onApply({ skipArtists: new Set(), changed: 0 });
+      return;
+    }
+    importPreview = { items, collisions, onApply };
+    renderImportPreview();
+    document.getElementById('modal-import-preview').classList.add('visible');
+  }
+
+  function applyImportPreview() {
+    const { items, collisions, onApply } = importPreview;
+    const targets = { rating: ratings, note: notes, genre: genreTiers, subgenre: subgenreTiers };
+    let changed = 0;
+    for (const item of items) {
+      const value = resolveImportItem(item);
+      if (value === undefined) continue;
+      if (item.kind === 'rating' || item.kind === 'note') logChange(item.key, item.name, item.kind, item.mine, value, 'import');
+      targets[item.kind][item.key] = value;
+      changed++;
+    }
+    const skipArtists = new Set(collisions.filter(c => !c.add).map(c => normForMatch(c.artist.name)));
+    saveAll();
+    closeImportPreview();
+    onApply({ skipArtists, changed });
+  }
+
+  function closeImportPreview() {
+    importPreview = null;
+    document.getElementById('modal-import-preview').classList.remove('visible');
+  }
 
-    document.getElementById('btn-import').addEventListener('click', () => {
-      importChoiceModal.classList.add('visible');
-    });
-    document.getElementById('btn-cancel-import').addEventListener('click', closeImportChoice);
-    importChoiceModal.addEventListener('click', (e) => { if (e.target === importChoiceModal) closeImportChoice(); });
+  function setupImportPreview() {
+    const modal = document.getElementById('modal-import-preview');
+    const list = document.getElementById('import-preview-list');
 
-    document.getElementById('btn-import-file').addEventListener('click', () => {
-      closeImportChoice();
-      document.getElementById('import-file-input').click();
+    list.addEventListener('change', e => {
+      if (e.target.dataset.i !== undefined) importPreview.items[+e.target.dataset.i].choice = e.target.value;
+      if (e.target.dataset.collision !== undefined) importPreview.collisions[+e.target.dataset.collision].add = e.target.checked;
     });
 
-    document.getElementById('btn-import-url').addEventListener('click', () => {
-      closeImportChoice();
-      document.getElementById('import-url-input').value = '';
-      importUrlModal.classList.add('visible');
-      setTimeout(() => document.getElementById('import-url-input').focus(), 100);
+    // Bulk choices: new entries take or skip; notes have no "higher", so they keep both
+    modal.querySelector('.import-preview__bulk').addEventListener('click', e => {
+      const btn = e.target.closest('[data-bulk]');
+      if (!btn) return;
+      for (const item of importPreview.items) {
+        const allowed = importChoices(item).map(([v]) => v);
+        item.choice = allowed.includes(btn.dataset.bulk) ? btn.dataset.bulk
+          : item.mine === null ? 'theirs'
+          : 'both';
+      }
+      renderImportPreview();
     });
-    document.getElementById('btn-cancel-import-url').addEventListener('click', closeImportUrl);
-    importUrlModal.addEventListener('click', (e) => { if (e.target === importUrlModal) closeImportUrl(); });
 
-    document.getElementById('btn-import-url-submit').addEventListener('click', async () => {
-      const raw = document.getElementById('import-url-input').value.trim();
-      if (!raw) return;
+    document.getElementById('btn-apply-import-preview').addEventListener('click', applyImportPreview);
+    document.getElementById('btn-cancel-import-preview').addEventListener('click', closeImportPreview);
+    modal.addEventListener('click', e => { if (e.target === modal) closeImportPreview(); });
+  }
 
-      // Accept full URL or just the encoded string
-      let encoded = raw;
+  // ---- CARRY FORWARD (previous festival's ratings) ----
+  // Each festival edition saves its state under its own namespace ("<ns>_state"),
+  // so any other *_state key in localStorage holding FestWiz state (a ratings
+  // object) is a previous (or parallel) edition.
+  function findPreviousNamespaces() {
+    const found = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i);
+      const m = k && k.match(/^(.+)_state$/);
+      if (!m || k === STATE_KEY) continue;
       try {
-        const u = new URL(raw);
-        const p = u.searchParams.get('import');
-        if (p) encoded = p;
-      } catch { /* not a URL, treat as raw code */ }
+        const data = JSON.parse(localStorage.getItem(k));
+        if (data && data.ratings && typeof data.ratings === 'object') found.push(m[1]);
+      } catch { /* not ours */ }
+    }
+    return found.sort().reverse();
+  }
 
-      const data = await decodeStateFromUrl(encoded);
-      if (!data) {
-        alert('Could not read the import code. Make sure you pasted the full share URL.');
+  // Match previous ratings onto this edition's artists: entity_id first, then
+  // normalized name (from the saved artistNames map, or the name_ key itself).
+  function matchCarryForward(oldState) {
+    const byEid = new Map();
+    const byName = new Map();
+    const bySlug = new Map();
+    for (const a of allArtists) {
+      if (a.entity_id) byEid.set(String(a.entity_id), a);
+      const n = normForMatch(a.name);
+      if (!byName.has(n)) byName.set(n, a);
+      const slug = 'name_' + a.name.toLowerCase().replace(/[^a-z0-9]/g, '_');
+      if (!bySlug.has(slug)) bySlug.set(slug, a);
+    }
+
+    const oldNames = oldState.artistNames || {};
+    const oldScale = FestWizRatingScale.normalize(oldState.ratingScale);
+    const matches = [];
+    const seen = new Set();
+    for (const [oldKey, oldRating] of Object.entries(oldState.ratings || {})) {
+      if (!(oldRating > 0)) continue;
+      let artist = null;
+      let via = '';
+      if (oldKey.startsWith('eid_')) { artist = byEid.get(oldKey.slice(4)); via = 'festival ID'; }
+      if (!artist && oldNames[oldKey]) { artist = byName.get(normForMatch(oldNames[oldKey])); via = 'name'; }
+      if (!artist && oldKey.startsWith('name_')) { artist = bySlug.get(oldKey); via = 'name'; }
+      if (!artist) continue;
+
+      const key = artistKey(artist);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      matches.push({
+        artist, key, via,
+        oldRating: FestWizRatingScale.remap(oldRating, oldScale, ratingScale),
+        currentRating: ratings[key] || 0,
+      });
+    }
+    return matches.sort((a, b) => a.artist.name.localeCompare(b.artist.name));
+  }
+
+  function setupCarryForward() {
+    const modal      = document.getElementById('modal-carry-forward');
+    const sourceSel  = document.getElementById('carry-source');
+    const fileInput  = document.getElementById('carry-file-input');
+    const summaryEl  = document.getElementById('carry-summary');
+    const listEl     = document.getElementById('carry-list');
+    const applyBtn   = document.getElementById('btn-apply-carry');
+    let pending = [];        // matches from matchCarryForward()
+    let sourceLabel = '';
+
+    function close() { modal.classList.remove('visible'); }
+
+    function renderReview() {
+      listEl.innerHTML = '';
+      if (pending.length === 0) {
+        summaryEl.textContent = 'No previous ratings match artists in this year\'s lineup.';
+        applyBtn.disabled = true;
         return;
       }
+      const fresh = pending.filter(m => !m.currentRating).length;
+      summaryEl.textContent = `${pending.length} returning artist${pending.length !== 1 ? 's' : ''} matched — ` +
+        `${fresh} unrated this year, ${pending.length - fresh} already rated (unticked).`;
+
+      for (const m of pending) {
+        const row = document.createElement('label');
+        row.className = 'carry-row';
+        row.innerHTML = `
+          <input type="checkbox" ${m.currentRating ? '' : 'checked'}>
+          <span class="carry-row__name">${escHtml(m.artist.name)}</span>
+          <span class="carry-row__via">by ${escHtml(m.via)}</span>
+          <span class="carry-row__ratings">
+            <span class="rating-btn rating-btn--${m.oldRating} active">${m.oldRating}</span>
+            ${m.currentRating ? `&rarr; now <span class="rating-btn rating-btn--${m.currentRating} active">${m.currentRating}</span>` : ''}
+          </span>
+        `;
+        const box = row.querySelector('input');
+        box.addEventListener('change', () => {
+          m.selected = box.checked;
+          updateApplyButton();
+        });
+        m.selected = box.checked;
+        listEl.appendChild(row);
+      }
+      updateApplyButton();
+    }
 
-      closeImportUrl();
-      const incomingCount = data.ratings ? Object.keys(data.ratings).filter(k => data.ratings[k] > 0).length : 0;
-      if (!confirm(`Import shared ratings? (${incomingCount} ratings) — This will merge with your existing data.`)) return;
+    function updateApplyButton() {
+      const n = pending.filter(m => m.selected).length;
+      applyBtn.disabled = n === 0;
+      applyBtn.textContent = `Apply ${n} rating${n !== 1 ? 's' : ''}`;
+    }
 
-      if (data.ratings)      ratings      = { ...ratings,      ...data.ratings };
-      if (data.notes)        notes        = { ...notes,        ...data.notes };
-      if (data.genreTiers)   genreTiers   = { ...genreTiers,   ...data.genreTiers };
-      if (data.subgenreTiers) subgenreTiers = { ...subgenreTiers, ...data.subgenreTiers };
-      saveAll();
-      renderArtists();
-      updateStats();
-      alert(`Import successful! (${incomingCount} ratings imported)`);
+    function loadSource(oldState, label) {
+      sourceLabel = label;
+      pending = matchCarryForward(oldState || {});
+      renderReview();
+    }
+
+    function loadFromNamespace(ns) {
+      try {
+        loadSource(JSON.parse(localStorage.getItem(`${ns}_state`) || '{}'), ns);
+      } catch (e) {
+        loadSource({}, ns);
+      }
+    }
+
+    document.getElementById('btn-carry-forward').addEventListener('click', () => {
+      document.getElementById('modal-import-choice').classList.remove('visible');
+      sourceSel.innerHTML = '';
+      for (const ns of findPreviousNamespaces()) {
+        const opt = document.createElement('option');
+        opt.value = ns;
+        opt.textContent = ns;
+        sourceSel.appendChild(opt);
+      }
+      sourceSel.disabled = sourceSel.options.length === 0;
+
+      pending = [];
+      listEl.innerHTML = '';
+      applyBtn.disabled = true;
+      applyBtn.textContent = 'Apply';
+      modal.classList.add('visible');
+      if (sourceSel.value) loadFromNamespace(sourceSel.value);
+      else summaryEl.textContent = 'No earlier festival found in this browser — choose a backup file.';
     });
 
-    document.getElementById('import-file-input').addEventListener('change', (e) => {
+    sourceSel.addEventListener('change', () => loadFromNamespace(sourceSel.value));
+    document.getElementById('btn-carry-file').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', (e) => {
       const file = e.target.files[0];
       if (!file) return;
-
       const reader = new FileReader();
       reader.onload = (ev) => {
         try {
           const data = JSON.parse(ev.target.result);
-          if (data.ratings) {
-            ratings = { ...ratings, ...data.ratings };
-            saveRatings();
-          }
-          if (data.notes) {
-            notes = { ...notes, ...data.notes };
-            saveNotes();
-          }
-          if (data.genreTiers) {
-            genreTiers = { ...genreTiers, ...data.genreTiers };
-            saveGenreTiers();
-          }
-          if (data.subgenreTiers) {
-            subgenreTiers = { ...subgenreTiers, ...data.subgenreTiers };
-            saveSubgenreTiers();
-          }
-          // Support both new 'userArtists' key and legacy 'unofficialArtists' key from old backups
-          const importedUserArtists = data.userArtists || data.unofficialArtists;
-          if (importedUserArtists && Array.isArray(importedUserArtists)) {
-            for (const ua of importedUserArtists) {
-              const exists = userArtists.some(
-                u => normForMatch(u.name) === normForMatch(ua.name)
-              );
-              if (!exists) {
-                userArtists.push(ua);
-                allArtists.push(ua);
-              }
-            }
-          }
-          buildGenreList();
-          buildSubgenreList();
-          renderArtists();
-          updateStats();
-          alert('Import successful!');
+          loadSource(data, data.festival || file.name);
         } catch (err) {
-          alert('Error importing file: ' + err.message);
+          alert('Error reading backup file: ' + err.message);
         }
       };
       reader.readAsText(file);
       e.target.value = '';
     });
-  }
 
-  function downloadJson(data, filename) {
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    a.click();
-    URL.revokeObjectURL(url);
+    applyBtn.addEventListener('click', () => {
+      const selected = pending.filter(m => m.selected);
+      for (const m of selected) {
+        logChange(m.key, m.artist.name, 'rating', ratings[m.key], m.oldRating, 'carried');
+        ratings[m.key] = m.oldRating;
+        artistNames[m.key] = m.artist.name;
+        carried[m.key] = sourceLabel;
+      }
+      saveRatings();
+      close();
+      renderArtists();
+      updateStats();
+      alert(`Brought forward ${selected.length} rating${selected.length !== 1 ? 's' : ''} from ${sourceLabel}.`);
+    });
+
+    document.getElementById('btn-cancel-carry').addEventListener('click', close);
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
   }
 
   // ---- FILTER DESCRIPTION ----
@@ -1205,11 +2957,15 @@
     if (currentFilters.search) parts.push(`Search: "${currentFilters.search}"`);
     if (currentFilters.rated === 'unrated')   parts.push('Unrated only');
     else if (currentFilters.rated === 'rated') parts.push('Rated only');
-    else if (currentFilters.rated === '3+')    parts.push('Rated 3+');
+    else if (currentFilters.rated === '3+')    parts.push(`Rated ${ratingScale.good}+`);
+    else if (currentFilters.rated === 'later') parts.push('Listen later');
     if (currentFilters.source === 'official')   parts.push('Official artists');
     else if (currentFilters.source === 'unofficial') parts.push('Unofficial artists');
     if (currentFilters.genre)    parts.push(`Genre: ${currentFilters.genre}`);
     if (currentFilters.subgenre) parts.push(`Subgenre: ${currentFilters.subgenre}`);
+    if (currentFilters.tag)      parts.push(`Tag: ${currentFilters.tag}`);
+    if (currentFilters.consensus === 'anyone-top')         parts.push(`Anyone rated ${ratingScale.max}`);
+    else if (currentFilters.consensus === 'everyone-good') parts.push(`Everyone rated ${ratingScale.good}+`);
     if (currentFilters.windowDay) {
       const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
       const d = new Date(currentFilters.windowDay + 'T12:00:00');
@@ -1346,23 +3102,175 @@
     history.replaceState({}, '', window.location.pathname);
     if (!data) return;
 
-    const incomingCount = data.ratings ? Object.keys(data.ratings).filter(k => data.ratings[k] > 0).length : 0;
-    if (!confirm(`Import shared ratings? (${incomingCount} ratings) — This will merge with your existing data.`)) return;
+    // Answered once the page is set up — the modal's buttons re-render from there
+    offerShareImport(data);
+  }
 
-    if (data.ratings) ratings = { ...ratings, ...data.ratings };
-    if (data.notes) notes = { ...notes, ...data.notes };
-    if (data.genreTiers) genreTiers = { ...genreTiers, ...data.genreTiers };
-    if (data.subgenreTiers) subgenreTiers = { ...subgenreTiers, ...data.subgenreTiers };
-    saveAll();
+  // Merge a share link into my own ratings, settling differences in the import preview
+  function mergeShare(data) {
+    previewImport(data, ({ changed }) => {
+      if (data.tags) mergeTags(data.tags);
+      saveAll();
+      buildTagFilter();
+      buildGenreList();
+      buildSubgenreList();
+      renderArtists();
+      updateStats();
+      alert(`Import successful! (${changed} change${changed !== 1 ? 's' : ''})`);
+    });
+  }
+
+  // ---- SHARE QR CODES ----
+  // A share link short enough goes in one QR code, so any phone camera can
+  // open it. Longer ones go out as a numbered run of codes,
+  // FW:<id>:<i>/<n>:<piece of the encoded state>, read back by Import → Scan or Paste.
+  const QR_SINGLE_MAX = 800;
+  const QR_CHUNK = 600;
+  const QR_CYCLE_MS = 2000;
+  const SHARE_CHUNK_RE = /^FW:([0-9a-z]+):(\d+)\/(\d+):(\S+)$/;
+  let scanParts = null;     // { id, total, parts: [] } — chunks read so far
+  let stopShareScan = () => {};
+
+  function shareQrTexts(url, encoded) {
+    if (url.length <= QR_SINGLE_MAX) return [url];
+    let h = 0;
+    for (let i = 0; i < encoded.length; i++) h = (h * 31 + encoded.charCodeAt(i)) >>> 0;
+    const id = h.toString(36);
+    const total = Math.ceil(encoded.length / QR_CHUNK);
+    const texts = [];
+    for (let i = 0; i < total; i++) texts.push(`FW:${id}:${i + 1}/${total}:${encoded.slice(i * QR_CHUNK, (i + 1) * QR_CHUNK)}`);
+    return texts;
+  }
+
+  // Scanned or pasted text → the encoded share state, once all of it is here.
+  // Takes a share URL, the bare code, or any number of chunks (added to the
+  // ones read before); null while chunks are still missing.
+  function collectShareCode(text) {
+    const tokens = text.trim().split(/\s+/);
+    if (!tokens.some(t => SHARE_CHUNK_RE.test(t))) {
+      try {
+        const p = new URL(text.trim()).searchParams.get('import');
+        if (p) return p;
+      } catch { /* not a URL, treat as raw code */ }
+      return text.trim();
+    }
+    for (const t of tokens) {
+      const m = t.match(SHARE_CHUNK_RE);
+      if (!m) continue;
+      const [, id, i, total, piece] = m;
+      if (!scanParts || scanParts.id !== id) scanParts = { id, total: +total, parts: [] };
+      scanParts.parts[+i - 1] = piece;
+    }
+    if (scanParts.parts.filter(Boolean).length < scanParts.total) return null;
+    const encoded = scanParts.parts.join('');
+    scanParts = null;
+    return encoded;
+  }
+
+  function scanStatusText() {
+    if (!scanParts) return '';
+    const missing = [];
+    for (let i = 0; i < scanParts.total; i++) if (!scanParts.parts[i]) missing.push(i + 1);
+    return `${scanParts.total - missing.length} of ${scanParts.total} codes read (missing ${missing.join(', ')})`;
+  }
+
+  function updateScanStatus() {
+    document.getElementById('import-scan-status').textContent = scanStatusText();
+  }
+
+  // Camera scanning where the browser has BarcodeDetector; pasting works everywhere
+  function setupShareScan(onCode) {
+    const btn = document.getElementById('btn-import-scan');
+    const video = document.getElementById('import-scan-video');
+    if (!('BarcodeDetector' in window) || !navigator.mediaDevices) return;
+    btn.hidden = false;
+    let stream = null;
+    let timer = null;
+
+    stopShareScan = () => {
+      clearInterval(timer);
+      timer = null;
+      if (stream) stream.getTracks().forEach(t => t.stop());
+      stream = null;
+      video.hidden = true;
+      btn.textContent = 'Scan QR Code';
+    };
+
+    btn.addEventListener('click', async () => {
+      if (stream) { stopShareScan(); return; }
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      } catch (e) {
+        alert(`Could not open the camera: ${e.message}`);
+        return;
+      }
+      video.srcObject = stream;
+      video.hidden = false;
+      await video.play();
+      btn.textContent = 'Stop Scanning';
+      const detector = new BarcodeDetector({ formats: ['qr_code'] });
+      timer = setInterval(async () => {
+        const codes = await detector.detect(video).catch(() => []);
+        for (const code of codes) {
+          const encoded = collectShareCode(code.rawValue);
+          updateScanStatus();
+          if (encoded) {
+            stopShareScan();
+            onCode(encoded);
+            return;
+          }
+        }
+      }, 300);
+    });
   }
 
   function setupShare() {
     const btn = document.getElementById('btn-share');
     if (!btn) return;
+    const modal = document.getElementById('modal-share');
+    const qrEl = document.getElementById('share-qr');
+    const posEl = document.getElementById('share-qr-pos');
+    let url = '';
+    let texts = [];
+    let pos = 0;
+    let cycle = null;
+
+    function showCode(i) {
+      pos = (i + texts.length) % texts.length;
+      qrEl.innerHTML = FestWizQR.toSvg(texts[pos]);
+      posEl.textContent = `Code ${pos + 1} of ${texts.length}`;
+    }
+
+    function closeShare() {
+      clearInterval(cycle);
+      cycle = null;
+      modal.classList.remove('visible');
+    }
+
     btn.addEventListener('click', async () => {
-      const state = { ratings, notes, genreTiers, subgenreTiers };
+      const state = { name: groupName || undefined, ratings, ratingScale: FestWizRatingScale.serialize(ratingScale), notes, tags, genreTiers, subgenreTiers };
       const encoded = await encodeStateForUrl(state);
-      const url = `${window.location.origin}${window.location.pathname}?import=${encodeURIComponent(encoded)}`;
+      url = `${window.location.origin}${window.location.pathname}?import=${encodeURIComponent(encoded)}`;
+      texts = shareQrTexts(url, encoded);
+      const ratingCount = Object.keys(ratings).filter(k => ratings[k] > 0).length;
+      document.getElementById('share-summary').textContent = `${ratingCount} ratings`;
+      document.getElementById('share-qr-nav').hidden = texts.length === 1;
+      document.getElementById('share-qr-hint').textContent = texts.length === 1
+        ? 'Scan with a phone camera to open it in FestWiz.'
+        : `Too big for one code: on the other phone open Import → Scan or Paste and scan each one. They change every ${QR_CYCLE_MS / 1000} seconds.`;
+      showCode(0);
+      clearInterval(cycle);
+      if (texts.length > 1) cycle = setInterval(() => showCode(pos + 1), QR_CYCLE_MS);
+      modal.classList.add('visible');
+    });
+
+    // Stepping by hand stops the cycling
+    document.getElementById('btn-share-qr-prev').addEventListener('click', () => { clearInterval(cycle); showCode(pos - 1); });
+    document.getElementById('btn-share-qr-next').addEventListener('click', () => { clearInterval(cycle); showCode(pos + 1); });
+    document.getElementById('btn-close-share').addEventListener('click', closeShare);
+    modal.addEventListener('click', e => { if (e.target === modal) closeShare(); });
+
+    document.getElementById('btn-copy-share').addEventListener('click', async () => {
       const ratingCount = Object.keys(ratings).filter(k => ratings[k] > 0).length;
       try {
         await navigator.clipboard.writeText(url);
@@ -1525,6 +3433,7 @@
 
   function openArtistDetail(artist) {
     const modal = document.getElementById('modal-artist-detail');
+    detailArtist = artist;
 
     // Badge
     const badgeClass = artist.source === 'unofficial' ? 'unofficial'
@@ -1533,10 +3442,12 @@
       : artist.source === 'user' ? 'User Added' : 'Official';
     document.getElementById('artist-detail-badge').innerHTML =
       `<span class="artist-card__badge artist-card__badge--${badgeClass}">${badgeLabel}</span>`;
-    if (isRecommended(artist)) {
+    modal.querySelectorAll('.artist-detail-badge--fw-pick').forEach(el => el.remove());
+    for (const list of pickListsFor(artist)) {
       const pick = document.createElement('span');
       pick.className = 'artist-detail-badge--fw-pick';
-      pick.textContent = '★ FestWiz Pick';
+      pick.style.setProperty('--pick-color', FestWizPickLists.colors(list).css);
+      pick.textContent = `★ ${list.name}`;
       modal.querySelector('.artist-detail__name-row').appendChild(pick);
     }
 
@@ -1568,12 +3479,12 @@
       }
     }
     document.getElementById('artist-detail-links').innerHTML = linksHtml;
+    document.getElementById('artist-detail-embed').innerHTML = embedSlotHtml(artist);
 
-    // Shows — official events from artist object + unofficial shows by name match
-    const officialShows = (artist.events || []).map(s => ({ ...s, _type: 'official' }));
-    const unofficialShows = allUnofficialShows
-      .filter(s => s.artist_name.toLowerCase() === artist.name.toLowerCase())
-      .map(s => ({ ...s, _type: 'unofficial' }));
+    // Shows — official events + unofficial shows, from the show index
+    const indexed = showsForArtist(artist);
+    const officialShows = indexed.official.map(s => ({ ...s, _type: 'official' }));
+    const unofficialShows = indexed.unofficial.map(s => ({ ...s, _type: 'unofficial' }));
     const allShows = [...officialShows, ...unofficialShows]
       .sort((a, b) => ((a.day || '') + (a.start_time || '')).localeCompare((b.day || '') + (b.start_time || '')));
 
@@ -1602,9 +3513,66 @@
       showsEl.innerHTML = html;
     }
 
+    // Similar artists
+    const similar = similarArtists(artist);
+    document.getElementById('artist-detail-similar').innerHTML = similar.length
+      ? '<div class="artist-detail__shows-heading">Similar artists</div>' + similar.map(({ artist: a, reasons }) => {
+        const r = ratings[artistKey(a)] || 0;
+        return `<button class="similar-artist" data-key="${escAttr(artistKey(a))}" type="button">
+          <span class="similar-artist__name">${escHtml(a.name)}${r ? ` <span class="similar-artist__rating similar-artist__rating--${r}">${r}</span>` : ''}</span>
+          <span class="similar-artist__reason">${escHtml(reasons.join(', '))}</span>
+        </button>`;
+      }).join('')
+      : '';
+
+    // Tags
+    const tagEditor = document.getElementById('artist-detail-tags');
+    tagEditor.dataset.key = artistKey(artist);
+    tagEditor.innerHTML = tagEditorHtml(artistKey(artist));
+
+    // Rating / note history, newest first
+    const historyEntries = ratingHistory.filter(h => h.key === artistKey(artist)).reverse();
+    document.getElementById('artist-detail-history').innerHTML = historyEntries.length
+      ? '<div class="artist-detail__shows-heading">History</div>' + historyEntries.map(historyRowHtml).join('')
+      : '';
+
+    // Same-artist merge: closed form, plus any names already filed under this one
+    document.getElementById('same-artist-form').hidden = true;
+    document.getElementById('same-artist-input').value = '';
+    const name = normForMatch(artist.name);
+    const variants = Object.keys(allArtistAliases())
+      .filter(v => normForMatch(v) !== name && normForMatch(canonicalArtistName(v)) === name);
+    document.getElementById('same-artist-note').textContent =
+      variants.length ? `Also listed as: ${variants.join(', ')}` : '';
+
     modal.classList.add('visible');
   }
 
+  // "Same artist as…": file one artist under another. The official record stays
+  // canonical when only one of the two is official; otherwise the artist picked
+  // in the form does. The variant's rating and note move onto the canonical key
+  // and its card folds into the canonical one.
+  function mergeSameArtist(artist, other) {
+    const [variant, canonical] = artist.entity_id && !other.entity_id ? [other, artist] : [artist, other];
+    if (!confirm(`Treat "${variant.name}" as the same artist as "${canonical.name}"? Its rating and note move to "${canonical.name}".`)) return;
+
+    const fromKey = artistKey(variant);
+    artistAliases[variant.name] = canonical.name;
+    buildAliasIndex();
+    const toKey = artistKey(canonical);
+    moveArtistData(fromKey, toKey, variant.name, canonical.name);
+    collapseAliasedArtists();
+    if (ratings[toKey]) artistNames[toKey] = canonical.name;
+    saveAll();
+
+    buildShowIndex();
+    buildGenreList();
+    buildSubgenreList();
+    renderArtists();
+    updateStats();
+    openArtistDetail(canonical);
+  }
+
   function setupWindowFilter() {
     const daySelect  = document.getElementById('window-day-select');
     const timeRow    = document.getElementById('window-time-row');
@@ -1657,19 +3625,469 @@
 
   function setupArtistDetailModal() {
     const modal = document.getElementById('modal-artist-detail');
-    document.getElementById('btn-close-artist-detail').addEventListener('click', () => {
+    // Closing drops the detail player along with the modal
+    const closeDetail = () => {
       modal.classList.remove('visible');
-    });
+      document.getElementById('artist-detail-embed').innerHTML = '';
+    };
+    document.getElementById('btn-close-artist-detail').addEventListener('click', closeDetail);
     modal.addEventListener('click', (e) => {
-      if (e.target === modal) modal.classList.remove('visible');
+      if (e.target === modal) closeDetail();
+    });
+
+    document.getElementById('artist-detail-similar').addEventListener('click', (e) => {
+      const btn = e.target.closest('.similar-artist');
+      const artist = btn && artistByKey(btn.dataset.key);
+      if (artist) openArtistDetail(artist);
+    });
+
+    const mergeForm = document.getElementById('same-artist-form');
+    const mergeInput = document.getElementById('same-artist-input');
+    const mergeNote = document.getElementById('same-artist-note');
+    document.getElementById('btn-same-artist').addEventListener('click', () => {
+      mergeForm.hidden = !mergeForm.hidden;
+      if (mergeForm.hidden) return;
+      document.getElementById('same-artist-options').innerHTML = allArtists
+        .filter(a => a !== detailArtist)
+        .map(a => `<option value="${escAttr(a.name)}">`)
+        .join('');
+      mergeInput.focus();
+    });
+    mergeForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = normForMatch(mergeInput.value.trim());
+      if (!name || !detailArtist) return;
+      const other = allArtists.find(a => a !== detailArtist && normForMatch(a.name) === name);
+      if (!other) {
+        mergeNote.textContent = `No artist named "${mergeInput.value.trim()}" in the list.`;
+        return;
+      }
+      mergeSameArtist(detailArtist, other);
+    });
+  }
+
+  // ---- LISTENING SESSION ----
+  // Full-screen triage: step through the artists the current filters show, one
+  // at a time. The list is fixed when the session starts and saved with the
+  // position (<namespace>_session), so a reload picks up where it left off.
+  let session = null;   // { keys: [artistKey], pos, rated, skipped, open }
+
+  function saveSession() {
+    if (session) localStorage.setItem(STORAGE_KEYS.session, JSON.stringify(session));
+    else localStorage.removeItem(STORAGE_KEYS.session);
+  }
+
+  function loadSession() {
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEYS.session) || 'null');
+      if (data && Array.isArray(data.keys) && data.keys.length) return data;
+    } catch (e) { /* start fresh */ }
+    return null;
+  }
+
+  function sessionArtist() {
+    if (!session || session.pos >= session.keys.length) return null;
+    const key = session.keys[session.pos];
+    return artistsByKey.get(key) || null;
+  }
+
+  function startListenSession() {
+    const saved = loadSession();
+    if (saved && saved.pos < saved.keys.length &&
+        confirm(`Resume your listening session (${saved.pos + 1} of ${saved.keys.length})? Cancel starts a new one from the artists shown now.`)) {
+      session = saved;
+    } else {
+      const keys = getFilteredArtists().map(artistKey);
+      if (!keys.length) {
+        alert('No artists match the current filters.');
+        return;
+      }
+      session = { keys, pos: 0, rated: 0, skipped: 0 };
+    }
+    openListenSession();
+  }
+
+  function openListenSession() {
+    session.open = true;
+    saveSession();
+    document.getElementById('listen-session').hidden = false;
+    document.body.classList.add('session-open');
+    renderListenSession();
+  }
+
+  function closeListenSession() {
+    document.getElementById('listen-session').hidden = true;
+    document.body.classList.remove('session-open');
+    if (!session) return;
+    session.open = false;
+    saveSession();
+    // Ratings made in the session may have moved artists in or out of the list
+    renderArtists();
+    updateStats();
+  }
+
+  // Reopen a session that was on screen when the page was reloaded
+  function resumeListenSession() {
+    const saved = loadSession();
+    if (!saved || !saved.open) return;
+    session = saved;
+    openListenSession();
+  }
+
+  // Move to another position; artists that have since disappeared (merged,
+  // removed) are passed over in the direction of travel
+  function moveSession(step) {
+    let pos = session.pos + step;
+    while (pos >= 0 && pos < session.keys.length &&
+           !allArtists.some(a => artistKey(a) === session.keys[pos])) pos += step;
+    if (pos < 0) return;
+    session.pos = Math.min(pos, session.keys.length);
+    saveSession();
+    renderListenSession();
+  }
+
+  function rateInSession(value) {
+    const artist = sessionArtist();
+    if (!artist || value > ratingScale.max) return;
+    applyRating(artist, value);
+    session.rated++;
+    moveSession(1);
+  }
+
+  function skipInSession() {
+    if (!sessionArtist()) return;
+    session.skipped++;
+    moveSession(1);
+  }
+
+  // Queue the artist and move on; on an artist already queued, unqueue it
+  function listenLaterInSession() {
+    const artist = sessionArtist();
+    if (!artist) return;
+    const key = artistKey(artist);
+    if (listenLater.includes(key)) {
+      listenLater = listenLater.filter(k => k !== key);
+      saveAll();
+      renderListenSession();
+      return;
+    }
+    listenLater.push(key);
+    saveAll();
+    moveSession(1);
+  }
+
+  function renderListenSession() {
+    const total = session.keys.length;
+    const artist = sessionArtist();
+    document.getElementById('session-count').textContent =
+      artist ? `${session.pos + 1} / ${total}` : `${total} / ${total}`;
+    document.getElementById('session-progress-bar').style.width = `${Math.round(100 * session.pos / total)}%`;
+    document.getElementById('btn-session-prev').disabled = session.pos === 0;
+    document.getElementById('session-keys').textContent =
+      `1–${ratingScale.max} rate · S skip · L listen later · ← → move · Esc close`;
+
+    const body = document.getElementById('session-artist');
+    const ratingBar = document.getElementById('session-rating');
+    document.querySelectorAll('#listen-session .session__actions [data-session]').forEach(b => { b.hidden = !artist; });
+    if (!artist) {
+      body.innerHTML = `
+        <div class="session__done">
+          <div class="session__name">That's everyone</div>
+          <p>Rated ${session.rated}, skipped ${session.skipped}. ${listenLater.length} in your listen-later queue — pick "Listen Later" under Show to see them.</p>
+        </div>`;
+      ratingBar.innerHTML = '';
+      return;
+    }
+
+    const key = artistKey(artist);
+    const rating = ratings[key] || 0;
+    document.getElementById('btn-session-later').textContent =
+      listenLater.includes(key) ? 'Remove from listen later' : 'Listen later';
+    const genreDisplay = [artist.genre, artist.subgenre].filter(Boolean).join(' / ');
+    const location = artist.location || [artist.city, artist.state, artist.country].filter(Boolean).join(', ');
+    const linksObj = { ...(artist.links || {}) };
+    if (artist.detail_url) linksObj.official = artist.detail_url;
+    const linkType = LINK_ORDER.find(type => linksObj[type]);
+    body.innerHTML = `
+      <div class="session__name">${escHtml(artist.name)}</div>
+      <div class="session__meta">${escHtml([genreDisplay, location].filter(Boolean).join(' · '))}</div>
+      ${linkType ? `<a href="${escAttr(linksObj[linkType])}" target="_blank" rel="noopener" class="music-link music-link--${linkType} session__link">${LINK_LABELS[linkType] || linkType}</a>` : '<div class="session__no-link">No links listed</div>'}
+      ${listenLater.includes(key) ? '<div class="session__later">In your listen-later queue</div>' : ''}
+      <div class="session__bio">${artist.description ? escHtml(artist.description) : '<em>No bio</em>'}</div>`;
+    ratingBar.innerHTML = ratingScale.levels.map(l =>
+      `<button class="rating-btn rating-btn--${l.value} ${rating === l.value ? 'active' : ''}" data-rating="${l.value}">${l.value} ${escHtml(l.label)}</button>`).join('');
+  }
+
+  function setupListenSession() {
+    const overlay = document.getElementById('listen-session');
+    document.getElementById('btn-listen-session').addEventListener('click', startListenSession);
+    document.getElementById('btn-close-session').addEventListener('click', closeListenSession);
+    document.getElementById('btn-session-prev').addEventListener('click', () => moveSession(-1));
+    document.getElementById('btn-session-next').addEventListener('click', () => moveSession(1));
+    document.getElementById('btn-session-skip').addEventListener('click', skipInSession);
+    document.getElementById('btn-session-later').addEventListener('click', listenLaterInSession);
+    document.getElementById('session-rating').addEventListener('click', (e) => {
+      const btn = e.target.closest('.rating-btn');
+      if (btn) rateInSession(parseInt(btn.dataset.rating));
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (overlay.hidden || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.target.closest && e.target.closest('input, textarea, select')) return;
+      const key = e.key.toLowerCase();
+      if (/^[1-9]$/.test(key))       rateInSession(Number(key));
+      else if (key === 's')          skipInSession();
+      else if (key === 'l')          listenLaterInSession();
+      else if (key === 'arrowright') moveSession(1);
+      else if (key === 'arrowleft')  moveSession(-1);
+      else if (key === 'escape')     closeListenSession();
+      else return;
+      e.preventDefault();
+    });
+  }
+
+  // ---- PLAYER ----
+  // Streaming links become embedded players (embeds.js). Cards and the detail
+  // modal show a play button until it's pressed, so nothing loads from the
+  // provider before then; only one player is live at a time. The mini-player
+  // works through a queue (<namespace>_player) and keeps its rating buttons
+  // within reach while the music plays.
+  let playerQueue = [];     // [artistKey]
+  let playerPos = 0;
+  let playerLive = false;   // the mini-player's iframe is loaded (play was pressed)
+
+  function artistByKey(key) {
+    return allArtists.find(a => artistKey(a) === key) || null;
+  }
+
+  function artistEmbed(artist) {
+    return FestWizEmbeds.firstEmbed(artist.links);
+  }
+
+  function embedSlotHtml(artist) {
+    const embed = artistEmbed(artist);
+    if (!embed) return '';
+    const key = escAttr(artistKey(artist));
+    return `
+      <div class="embed-slot" data-key="${key}">
+        <button class="embed-btn embed-btn--play" data-key="${key}" type="button">&#9654; Play on ${embed.label}</button>
+        <button class="embed-btn embed-btn--queue" data-key="${key}" type="button">${playerQueue.includes(artistKey(artist)) ? 'Queued' : '+ Queue'}</button>
+      </div>`;
+  }
+
+  function embedFrameHtml(embed, name) {
+    return `<iframe class="embed-frame" src="${escAttr(embed.src)}" height="${embed.height}" title="${escAttr(`${name} on ${embed.label}`)}" allow="autoplay; encrypted-media; clipboard-write; fullscreen; picture-in-picture" loading="lazy"></iframe>`;
+  }
+
+  // Put every card/detail player back to its play button, and unload the
+  // mini-player's, so a new one doesn't play over it
+  function stopPlayers() {
+    document.querySelectorAll('.embed-slot--live').forEach(slot => {
+      const artist = artistByKey(slot.dataset.key);
+      if (artist) slot.outerHTML = embedSlotHtml(artist);
+    });
+    if (playerLive) {
+      playerLive = false;
+      renderMiniPlayer();
+    }
+  }
+
+  function playInSlot(slot) {
+    const artist = artistByKey(slot.dataset.key);
+    const embed = artist && artistEmbed(artist);
+    if (!embed) return;
+    stopPlayers();
+    slot.classList.add('embed-slot--live');
+    slot.innerHTML = embedFrameHtml(embed, artist.name);
+  }
+
+  function savePlayer() {
+    localStorage.setItem(STORAGE_KEYS.player, JSON.stringify({ queue: playerQueue, pos: playerPos }));
+  }
+
+  function loadPlayer() {
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEYS.player) || 'null');
+      if (data && Array.isArray(data.queue)) {
+        playerQueue = data.queue;
+        playerPos = Math.min(Math.max(0, data.pos || 0), Math.max(0, playerQueue.length - 1));
+      }
+    } catch (e) { /* start with an empty queue */ }
+  }
+
+  // Add artists with a playable link; returns how many were new
+  function queueArtists(artists) {
+    let added = 0;
+    for (const a of artists) {
+      const key = artistKey(a);
+      if (!playerQueue.includes(key) && artistEmbed(a)) {
+        playerQueue.push(key);
+        added++;
+      }
+    }
+    if (added) {
+      savePlayer();
+      renderMiniPlayer();
+      refreshQueueButtons();
+    }
+    return added;
+  }
+
+  function refreshQueueButtons() {
+    document.querySelectorAll('.embed-btn--queue').forEach(btn => {
+      btn.textContent = playerQueue.includes(btn.dataset.key) ? 'Queued' : '+ Queue';
+    });
+  }
+
+  function playerArtist() {
+    return playerQueue.length ? artistByKey(playerQueue[playerPos]) : null;
+  }
+
+  function playQueueAt(pos) {
+    if (!playerQueue.length) return;
+    playerPos = (pos + playerQueue.length) % playerQueue.length;
+    savePlayer();
+    if (playerLive) {
+      // Already listening: go straight on to the next player
+      playerLive = false;
+      startMiniPlayer();
+    } else {
+      renderMiniPlayer();
+    }
+  }
+
+  function startMiniPlayer() {
+    if (!playerArtist()) return;
+    stopPlayers();
+    playerLive = true;
+    renderMiniPlayer();
+  }
+
+  function removeFromQueue(index) {
+    const wasCurrent = index === playerPos;
+    playerQueue.splice(index, 1);
+    if (index < playerPos || playerPos >= playerQueue.length) playerPos = Math.max(0, playerPos - 1);
+    if (wasCurrent) playerLive = false;
+    savePlayer();
+    renderMiniPlayer();
+    refreshQueueButtons();
+  }
+
+  function clearQueue() {
+    playerQueue = [];
+    playerPos = 0;
+    playerLive = false;
+    savePlayer();
+    renderMiniPlayer();
+    refreshQueueButtons();
+  }
+
+  function renderMiniPlayer() {
+    const bar = document.getElementById('mini-player');
+    // Queued artists that have since gone (merged, removed) drop out
+    const known = playerQueue.filter(key => artistByKey(key));
+    if (allArtists.length && known.length !== playerQueue.length) {
+      playerQueue = known;
+      playerPos = Math.min(playerPos, Math.max(0, known.length - 1));
+      savePlayer();
+    }
+    const artist = playerArtist();
+    bar.hidden = !artist;
+    document.body.classList.toggle('mini-player-open', !!artist);
+    if (!artist) {
+      document.getElementById('mini-player-frame').innerHTML = '';
+      return;
+    }
+
+    const key = artistKey(artist);
+    const embed = artistEmbed(artist);
+    const rating = ratings[key] || 0;
+    document.getElementById('mini-player-name').textContent = artist.name;
+    document.getElementById('mini-player-pos').textContent =
+      `${playerPos + 1} / ${playerQueue.length}${embed ? ` · ${embed.label}` : ''}`;
+    document.getElementById('mini-player-rating').innerHTML = ratingScale.levels.map(l =>
+      `<button class="rating-btn rating-btn--${l.value} ${rating === l.value ? 'active' : ''}" data-rating="${l.value}" title="${escAttr(l.label)}">${l.value}</button>`).join('');
+    document.getElementById('btn-player-play').hidden = playerLive;
+
+    const frame = document.getElementById('mini-player-frame');
+    const frameKey = playerLive && embed ? key : '';
+    if (frame.dataset.key !== frameKey) {
+      frame.dataset.key = frameKey;
+      frame.innerHTML = frameKey ? embedFrameHtml(embed, artist.name) : '';
+    }
+
+    document.getElementById('mini-player-queue').innerHTML = playerQueue.map((k, i) => {
+      const a = artistByKey(k);
+      const r = ratings[k] || 0;
+      return `<li class="mini-player__item${i === playerPos ? ' mini-player__item--current' : ''}" data-index="${i}">
+        <span class="mini-player__item-name">${escHtml(a ? a.name : k)}</span>
+        ${r ? `<span class="mini-player__item-rating mini-player__item-rating--${r}">${r}</span>` : ''}
+        <button class="mini-player__item-remove" data-index="${i}" type="button" aria-label="Remove from queue">✕</button>
+      </li>`;
+    }).join('');
+  }
+
+  function setupPlayer() {
+    loadPlayer();
+
+    // Card and detail-modal buttons are redrawn freely, so listen at the document
+    document.addEventListener('click', (e) => {
+      const btn = e.target.closest && e.target.closest('.embed-btn');
+      if (!btn) return;
+      if (btn.classList.contains('embed-btn--play')) {
+        playInSlot(btn.closest('.embed-slot'));
+      } else {
+        const artist = artistByKey(btn.dataset.key);
+        if (artist) queueArtists([artist]);
+      }
+    });
+
+    document.getElementById('btn-queue-shown').addEventListener('click', () => {
+      const shown = getFilteredArtists();
+      const added = queueArtists(shown);
+      const playable = shown.filter(artistEmbed).length;
+      if (!added) alert(playable ? 'Everything shown is already in the queue.' : 'None of the artists shown have a playable link.');
+    });
+    document.getElementById('btn-player-play').addEventListener('click', startMiniPlayer);
+    document.getElementById('btn-player-prev').addEventListener('click', () => playQueueAt(playerPos - 1));
+    document.getElementById('btn-player-next').addEventListener('click', () => playQueueAt(playerPos + 1));
+    document.getElementById('btn-player-clear').addEventListener('click', () => {
+      if (confirm(`Clear all ${playerQueue.length} artists from the queue?`)) clearQueue();
+    });
+    document.getElementById('btn-player-queue').addEventListener('click', () => {
+      document.getElementById('mini-player').classList.toggle('mini-player--expanded');
+    });
+    document.getElementById('mini-player-name').addEventListener('click', () => {
+      const artist = playerArtist();
+      if (artist) openArtistDetail(artist);
+    });
+    document.getElementById('mini-player-rating').addEventListener('click', (e) => {
+      const btn = e.target.closest('.rating-btn');
+      const artist = playerArtist();
+      if (!btn || !artist) return;
+      const value = parseInt(btn.dataset.rating);
+      applyRating(artist, ratings[artistKey(artist)] === value ? null : value);
+      renderMiniPlayer();
+    });
+    document.getElementById('mini-player-queue').addEventListener('click', (e) => {
+      const remove = e.target.closest('.mini-player__item-remove');
+      if (remove) {
+        removeFromQueue(parseInt(remove.dataset.index));
+        return;
+      }
+      const item = e.target.closest('.mini-player__item');
+      if (item) playQueueAt(parseInt(item.dataset.index));
     });
   }
 
   // ---- INIT ----
   async function init() {
+    await loadFestival();
     loadFromLocalStorage();
     await checkUrlImport();
     setupTheme();
+    FestWizRatingScale.applyColors(ratingScale);
+    updateScaleLabels();
     setupArtistHamburger();
     setupCollapsibles();
     setupFilters();
@@ -1677,11 +4095,20 @@
     setupAddArtist();
     setupGenreTiers();
     setupSubgenreTiers();
+    setupRatingScale();
+    setupUndo();
+    setupTags();
+    setupPickLists();
+    setupGroup();
     setupExportImport();
+    setupImportPreview();
+    setupCarryForward();
     setupShare();
     setupAbout();
     setupArtistDetailModal();
-    const announcements = await fetch('announcements.json').then(r => r.json()).catch(() => []);
+    setupListenSession();
+    setupPlayer();
+    const announcements = await fetch(festival.data.announcements).then(r => r.json()).catch(() => []);
     setupTutorial(announcements);
     if (localStorage.getItem('fw_tutorial_seen')) {
       setupAnnouncements(announcements);
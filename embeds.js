@@ -0,0 +1,81 @@
+/* FestWiz — embeds.js
+ * Turns an artist's streaming links into embeddable player URLs, using only
+ * the link itself: nothing is fetched until the page puts the iframe in.
+ * Bandcamp is left out on purpose — its player needs a numeric album/track id
+ * that the public URLs in artists.json don't carry.
+ *
+ * Exposes window.FestWizEmbeds = { ORDER, embedFor, firstEmbed }.
+ */
+(function () {
+  'use strict';
+
+  // Preferred provider when an artist has several
+  const ORDER = ['spotify', 'youtube', 'soundcloud', 'apple_music'];
+
+  const LABELS = {
+    spotify: 'Spotify',
+    youtube: 'YouTube',
+    soundcloud: 'SoundCloud',
+    apple_music: 'Apple Music',
+  };
+
+  function parse(url) {
+    try { return new URL(url); } catch { return null; }
+  }
+
+  // open.spotify.com/{track|album|artist|playlist|episode}/{id}, with or without /intl-xx/
+  function spotify(u) {
+    if (u.hostname !== 'open.spotify.com') return null;
+    const m = u.pathname.match(/^\/(?:intl-[a-z-]+\/)?(track|album|artist|playlist|episode)\/([A-Za-z0-9]+)/);
+    if (!m) return null;
+    return { src: `https://open.spotify.com/embed/${m[1]}/${m[2]}?autoplay=1`, height: m[1] === 'track' ? 152 : 352 };
+  }
+
+  // watch?v=, youtu.be/, /shorts/, /embed/, /live/ — channel and @handle pages can't be embedded
+  function youtube(u) {
+    const host = u.hostname.replace(/^(www|m|music)\./, '');
+    let id = null;
+    if (host === 'youtu.be') id = u.pathname.slice(1).split('/')[0];
+    else if (host === 'youtube.com') {
+      id = u.pathname === '/watch' ? u.searchParams.get('v')
+        : (u.pathname.match(/^\/(?:shorts|embed|live)\/([\w-]+)/) || [])[1];
+    }
+    if (!id || !/^[\w-]{11}$/.test(id)) return null;
+    return { src: `https://www.youtube-nocookie.com/embed/${id}?autoplay=1`, height: 200 };
+  }
+
+  // The widget takes any soundcloud.com page (profile, track, set). Short
+  // on.soundcloud.com links only resolve with a redirect, so they're skipped.
+  function soundcloud(u) {
+    if (u.hostname.replace(/^(www|m)\./, '') !== 'soundcloud.com' || u.pathname.length < 2) return null;
+    const page = `https://soundcloud.com${u.pathname}`;
+    return { src: `https://w.soundcloud.com/player/?url=${encodeURIComponent(page)}&auto_play=true&visual=false`, height: 166 };
+  }
+
+  // Albums, songs and playlists have an embed.music.apple.com twin; artist pages don't
+  function appleMusic(u) {
+    if (u.hostname !== 'music.apple.com' || !/^\/[a-z]{2}\/(album|song|playlist)\//.test(u.pathname)) return null;
+    return { src: `https://embed.music.apple.com${u.pathname}${u.search}`, height: u.searchParams.has('i') || /\/song\//.test(u.pathname) ? 175 : 450 };
+  }
+
+  const BUILDERS = { spotify, youtube, soundcloud, apple_music: appleMusic };
+
+  // { provider, label, src, height, url } for one link, or null if it can't be embedded
+  function embedFor(provider, url) {
+    const build = BUILDERS[provider];
+    const u = build && parse(url);
+    const embed = u && build(u);
+    return embed ? { provider, label: LABELS[provider], url, ...embed } : null;
+  }
+
+  // The first embeddable link in ORDER
+  function firstEmbed(links) {
+    for (const provider of ORDER) {
+      const embed = links && links[provider] && embedFor(provider, links[provider]);
+      if (embed) return embed;
+    }
+    return null;
+  }
+
+  window.FestWizEmbeds = { ORDER, embedFor, firstEmbed };
+})();
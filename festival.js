@@ -0,0 +1,53 @@
+/* FestWiz — festival.js
+ * The festival manifest (festival.json): dates, timezone, map center, storage
+ * namespace, official-link template and data file paths. Both pages load it
+ * the same way, before anything reads their saved state.
+ *
+ * Exposes window.FestWizFestival = { DEFAULT, load }.
+ */
+(function () {
+  'use strict';
+
+  // Defaults match the SXSW 2026 build so saved state survives if the
+  // manifest fails to load.
+  const DEFAULT = {
+    id: 'sxsw2026',
+    name: 'SXSW 2026',
+    first_day: null,
+    last_day: null,
+    timezone: null,
+    map_center: { lat: 30.2672, lng: -97.7431, zoom: 14 },
+    map_search_suffix: '',
+    storage_namespace: 'sxsw2026',
+    official_artist_url: '',
+    data: {
+      artists: 'artists.json',
+      unofficial_artists: 'unofficial_artists.json',
+      shows: 'shows.json',
+      unofficial_shows: 'unofficial_shows.json',
+      venues: 'venues.json',
+      venue_coords: 'venue_coords.json',
+      recommended: 'recommended.json',
+      artist_aliases: 'artist_aliases.json',
+      announcements: 'announcements.json',
+    },
+  };
+
+  // The manifest merged over DEFAULT. Revalidated on every load (a new edition
+  // must switch namespaces at once); offline, the service worker's copy or
+  // DEFAULT is used.
+  async function load() {
+    try {
+      const res = await fetch('festival.json', { cache: 'no-cache' });
+      if (res.ok) {
+        const data = await res.json();
+        return { ...DEFAULT, ...data, data: { ...DEFAULT.data, ...(data.data || {}) } };
+      }
+    } catch (e) {
+      console.warn('Could not load festival.json, using defaults:', e);
+    }
+    return DEFAULT;
+  }
+
+  window.FestWizFestival = { DEFAULT, load };
+})();
@@ -0,0 +1,120 @@
+/* FestWiz — pick-lists.js
+ * Curator pick lists: the FestWiz list (recommended.json) plus any the user
+ * subscribes to from a file or URL — a friend's, a label's. Each list has a
+ * name, a color and an on/off switch. The settings (and the artists of added
+ * lists) are saved with the user's ratings (<namespace>_state.pickLists); the
+ * Rate page manages them and the schedule page reads them from there.
+ *
+ * Exposes window.FestWizPickLists = { BUILTIN_ID, PALETTE, normalize, parse,
+ *   buildIndex, listsFor, colors }.
+ */
+(function () {
+  'use strict';
+
+  const BUILTIN_ID = 'festwiz';
+  // Colors offered to new lists, in order
+  const PALETTE = ['#e07b20', '#d81b60', '#8e24aa', '#43a047', '#3949ab', '#6d4c41'];
+  const HEX_RE = /^#[0-9a-f]{6}$/i;
+
+  // The FestWiz list has no color of its own until the user picks one: it
+  // follows the theme's --primary, with the map and sheet hexes it always had.
+  const BUILTIN_COLORS = { css: 'var(--primary)', marker: '#e07b20', pastel: '#fce5cd', pastelText: '#7a3800' };
+
+  function mix(a, b, t) {
+    const x = parseInt(a.slice(1), 16), y = parseInt(b.slice(1), 16);
+    const ch = (n, s) => (n >> s) & 255;
+    return '#' + [16, 8, 0]
+      .map(s => Math.round(ch(x, s) + (ch(y, s) - ch(x, s)) * t).toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  // Saved settings → [built-in list, ...added lists]. hidePicks is the single
+  // switch this replaced; 'hide' starts the built-in list off.
+  function normalize(saved, hidePicks) {
+    const lists = Array.isArray(saved) ? saved.filter(l => l && l.id) : [];
+    const savedBuiltin = lists.find(l => l.id === BUILTIN_ID);
+    const builtin = {
+      id: BUILTIN_ID,
+      name: 'FestWiz Picks',
+      color: savedBuiltin && HEX_RE.test(savedBuiltin.color || '') ? savedBuiltin.color : null,
+      enabled: savedBuiltin ? savedBuiltin.enabled !== false : hidePicks !== 'hide',
+      builtin: true,
+    };
+    const added = lists.filter(l => l.id !== BUILTIN_ID).map((l, i) => ({
+      id: String(l.id),
+      name: String(l.name || '').trim() || 'Pick list',
+      color: HEX_RE.test(l.color || '') ? l.color : PALETTE[i % PALETTE.length],
+      enabled: l.enabled !== false,
+      url: l.url || '',
+      entity_ids: (l.entity_ids || []).map(String),
+      names: (l.names || []).map(String),
+    }));
+    return [builtin, ...added];
+  }
+
+  // A pick-list file: recommended.json's shape ({ entity_ids, names }, with an
+  // optional name and color), or plain text with one artist name per line.
+  // Throws if it names no artists.
+  function parse(text) {
+    let data = null;
+    try { data = JSON.parse(text); } catch { /* plain text */ }
+    let list;
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      list = {
+        name: typeof data.name === 'string' ? data.name.trim() : '',
+        color: HEX_RE.test(data.color || '') ? data.color : null,
+        entity_ids: (data.entity_ids || []).map(String),
+        names: (data.names || []).map(String),
+      };
+    } else {
+      const names = Array.isArray(data) ? data : String(text).split(/\r?\n/);
+      list = {
+        name: '',
+        color: null,
+        entity_ids: [],
+        names: names.map(n => String(n).trim()).filter(n => n && !n.startsWith('#')),
+      };
+    }
+    if (!list.entity_ids.length && !list.names.length) throw new Error('No artists found in this list.');
+    return list;
+  }
+
+  // Lookup over the enabled lists: { byEid: Map(id → [list]), byName: Map(name → [list]) }.
+  // builtinData is recommended.json; normName is the page's name normaliser.
+  function buildIndex(lists, builtinData, normName) {
+    const byEid = new Map();
+    const byName = new Map();
+    const add = (map, key, list) => {
+      if (!map.has(key)) map.set(key, []);
+      if (!map.get(key).includes(list)) map.get(key).push(list);
+    };
+    for (const list of lists) {
+      if (!list.enabled) continue;
+      const data = list.builtin ? builtinData || {} : list;
+      for (const id of data.entity_ids || []) add(byEid, String(id), list);
+      for (const n of data.names || []) add(byName, normName(n), list);
+    }
+    return { byEid, byName };
+  }
+
+  // Lists an artist is on, in list order. eids and names are already normalised.
+  function listsFor(index, eids, names) {
+    const found = new Set();
+    for (const id of eids) for (const l of index.byEid.get(String(id)) || []) found.add(l);
+    for (const n of names) for (const l of index.byName.get(n) || []) found.add(l);
+    return [...found];
+  }
+
+  // { css, marker, pastel, pastelText } for a list
+  function colors(list) {
+    if (!list.color) return BUILTIN_COLORS;
+    return {
+      css: list.color,
+      marker: list.color,
+      pastel: mix(list.color, '#ffffff', 0.75),
+      pastelText: mix(list.color, '#000000', 0.55),
+    };
+  }
+
+  window.FestWizPickLists = { BUILTIN_ID, PALETTE, normalize, parse, buildIndex, listsFor, colors };
+})();
@@ -0,0 +1,138 @@
+/* FestWiz — plan-watch.js
+ * Spots shows on the user's plan that changed time or venue, or vanished,
+ * between the plan the user last saw and freshly fetched show data.
+ *
+ * Shared by the schedule page and the service worker (importScripts), so it
+ * sticks to what both have: no DOM, no localStorage.
+ *
+ * Exposes self.FestWizPlanWatch = { planEntry, findPlanChanges, describeChange }.
+ */
+(function () {
+  'use strict';
+
+  const DAY_START_HOUR = 9;    // as in schedule.js: earlier hours belong to the previous night
+  const DEFAULT_SET_MINS = 60; // assumed set length when a show has no end time
+
+  // Same fuzzy artist-name key schedule.js uses for dedup
+  function normName(n) {
+    return String(n || '').toLowerCase()
+      .replace(/ & /g, ' and ')
+      .replace(/^(the|a|an)\s+/, '')
+      .replace(/[^a-z0-9]/g, '');
+  }
+
+  function minutesFromDayStart(t) {
+    const [h, m] = t.split(':').map(Number);
+    return ((h < DAY_START_HOUR ? h + 24 : h) - DAY_START_HOUR) * 60 + m;
+  }
+
+  function formatTime12(t) {
+    if (!t) return '';
+    const [h, m] = t.split(':').map(Number);
+    return `${h % 12 || 12}:${String(m).padStart(2, '0')} ${h < 12 ? 'AM' : 'PM'}`;
+  }
+
+  function formatDay(iso) {
+    const d = new Date(iso + 'T12:00:00');
+    return `${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][d.getDay()]} ${d.getMonth() + 1}/${d.getDate()}`;
+  }
+
+  // Compact record of a planned show: enough to find it again and describe its slot
+  function planEntry(show) {
+    return {
+      id: show.id || '',
+      artist: show.artist_name,
+      venue: show.venue,
+      day: show.day,
+      start: show.start_time || '',
+      end: show.end_time || '',
+    };
+  }
+
+  function span(entry) {
+    if (!entry.start) return null;
+    const start = minutesFromDayStart(entry.start);
+    const end = entry.end ? minutesFromDayStart(entry.end) : start + DEFAULT_SET_MINS;
+    return [start, end > start ? end : start + DEFAULT_SET_MINS];
+  }
+
+  function overlaps(a, b) {
+    if (a.day !== b.day) return false;
+    const x = span(a), y = span(b);
+    return !!x && !!y && x[0] < y[1] && y[0] < x[1];
+  }
+
+  // Where a planned show is in fresh data: same id, else the same artist on the
+  // same day (official ids embed the start hour, unofficial shows have none),
+  // preferring the same venue, then the same start time.
+  function locate(entry, byId, byArtistDay) {
+    if (entry.id && byId.has(entry.id)) return byId.get(entry.id);
+    const candidates = byArtistDay.get(`${normName(entry.artist)}|${entry.day}`) || [];
+    return candidates.find(s => s.venue === entry.venue)
+      || candidates.find(s => (s.start_time || '') === entry.start)
+      || candidates[0]
+      || null;
+  }
+
+  // Compare a saved plan (planEntry list) against fresh shows. Returns
+  // [{ kind: 'moved'|'time'|'removed', before, after, conflicts }] where
+  // conflicts are other planned shows the new slot now overlaps.
+  function findPlanChanges(plan, freshShows) {
+    const byId = new Map();
+    const byArtistDay = new Map();
+    for (const s of freshShows) {
+      if (s.id) byId.set(s.id, s);
+      const key = `${normName(s.artist_name)}|${s.day}`;
+      if (!byArtistDay.has(key)) byArtistDay.set(key, []);
+      byArtistDay.get(key).push(s);
+    }
+
+    const current = plan.map(entry => {
+      const show = locate(entry, byId, byArtistDay);
+      return { entry, now: show ? planEntry(show) : null };
+    });
+
+    const changes = [];
+    for (const c of current) {
+      const { entry, now } = c;
+      if (now && now.venue === entry.venue && now.day === entry.day &&
+          now.start === entry.start && now.end === entry.end) continue;
+      const conflicts = !now ? [] : current
+        .filter(o => o !== c && o.now && overlaps(now, o.now) && !overlaps(entry, o.entry))
+        .map(o => o.now);
+      changes.push({
+        kind: !now ? 'removed' : now.venue !== entry.venue ? 'moved' : 'time',
+        before: entry,
+        after: now,
+        conflicts,
+      });
+    }
+    return changes;
+  }
+
+  function describeSlot(entry) {
+    const time = entry.start ? formatTime12(entry.start) : 'no set time';
+    return `${formatDay(entry.day)} ${time} at ${entry.venue}`;
+  }
+
+  // { title, body } text for a notification or banner line
+  function describeChange(change) {
+    const { kind, before, after, conflicts } = change;
+    if (kind === 'removed') {
+      return {
+        title: `${before.artist} is no longer on the schedule`,
+        body: `Was ${describeSlot(before)}.`,
+      };
+    }
+    let body = `Was ${describeSlot(before)}, now ${describeSlot(after)}.`;
+    if (conflicts.length) {
+      body += ` Now clashes with ${conflicts.map(c => `${c.artist} (${formatTime12(c.start)}, ${c.venue})`).join(', ')}.`;
+    }
+    return {
+      title: kind === 'moved' ? `${before.artist} moved venue` : `${before.artist} changed time`,
+      body,
+    };
+  }
+
+  self.FestWizPlanWatch = { planEntry, findPlanChanges, describeChange };
+})();
@@ -0,0 +1,302 @@
+/* FestWiz — qr.js
+ * A small QR code encoder so share links can be shown on screen with no
+ * external service. Byte mode only, error correction L or M, versions 1–40,
+ * following ISO/IEC 18004 (the structure mirrors Project Nayuki's reference
+ * implementation).
+ *
+ * Exposes window.FestWizQR = { encode, toSvg }.
+ */
+(function () {
+  'use strict';
+
+  // Per version (index 0 unused): error-correction codewords per block, and block count
+  const ECC_PER_BLOCK = {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  };
+  const NUM_BLOCKS = {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  };
+  const FORMAT_BITS = { L: 1, M: 0 };
+
+  // Modules left for data and error correction once the function patterns are drawn
+  function rawDataModules(ver) {
+    let result = (16 * ver + 128) * ver + 64;
+    if (ver >= 2) {
+      const numAlign = Math.floor(ver / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (ver >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  function dataCodewords(ver, ecl) {
+    return Math.floor(rawDataModules(ver) / 8) - ECC_PER_BLOCK[ecl][ver] * NUM_BLOCKS[ecl][ver];
+  }
+
+  // ---- Reed–Solomon over GF(2^8), polynomial 0x11D ----
+  function gfMul(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  function rsDivisor(degree) {
+    const result = new Array(degree - 1).fill(0).concat([1]);
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = gfMul(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = gfMul(root, 0x02);
+    }
+    return result;
+  }
+
+  function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => { result[i] ^= gfMul(coef, factor); });
+    }
+    return result;
+  }
+
+  // Split data into blocks, add each block's error correction, interleave
+  function addEcc(data, ver, ecl) {
+    const numBlocks = NUM_BLOCKS[ecl][ver];
+    const eccLen = ECC_PER_BLOCK[ecl][ver];
+    const rawCodewords = Math.floor(rawDataModules(ver) / 8);
+    const numShort = numBlocks - rawCodewords % numBlocks;
+    const shortLen = Math.floor(rawCodewords / numBlocks);
+    const divisor = rsDivisor(eccLen);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+      const dat = data.slice(k, k + shortLen - eccLen + (i < numShort ? 0 : 1));
+      k += dat.length;
+      const ecc = rsRemainder(dat, divisor);
+      if (i < numShort) dat.push(0);
+      blocks.push(dat.concat(ecc));
+    }
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortLen - eccLen || j >= numShort) result.push(block[i]);
+      });
+    }
+    return result;
+  }
+
+  // Byte-mode segment, terminator and padding → data codewords
+  function dataBytes(bytes, ver, ecl) {
+    const bits = [];
+    const push = (val, len) => { for (let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1); };
+    push(0b0100, 4);
+    push(bytes.length, ver <= 9 ? 8 : 16);
+    for (const b of bytes) push(b, 8);
+    const capacity = dataCodewords(ver, ecl) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+    const result = [];
+    for (let i = 0; i < bits.length; i += 8) result.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    return result;
+  }
+
+  function alignmentPositions(ver) {
+    if (ver === 1) return [];
+    const numAlign = Math.floor(ver / 7) + 2;
+    const size = ver * 4 + 17;
+    const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+  }
+
+  // ---- Symbol layout ----
+  function newGrid(size) {
+    return Array.from({ length: size }, () => new Array(size).fill(false));
+  }
+
+  function drawFunctionPatterns(qr) {
+    const { size, ver } = qr;
+    const set = (x, y, dark) => { qr.modules[y][x] = dark; qr.isFunction[y][x] = true; };
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx, y = cy + dy;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+    const align = alignmentPositions(ver);
+    const last = align.length - 1;
+    align.forEach((ax, i) => align.forEach((ay, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+    drawFormatBits(qr, 0);
+    if (ver >= 7) {
+      let rem = ver;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+      const bits = (ver << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + i % 3, b = Math.floor(i / 3);
+        set(a, b, dark);
+        set(b, a, dark);
+      }
+    }
+  }
+
+  function drawFormatBits(qr, mask) {
+    const { size } = qr;
+    const set = (x, y, dark) => { qr.modules[y][x] = dark; qr.isFunction[y][x] = true; };
+    const data = (FORMAT_BITS[qr.ecl] << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+  }
+
+  // Zig-zag the codewords up and down two-module columns, right to left
+  function drawCodewords(qr, codewords) {
+    const { size } = qr;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+          if (!qr.isFunction[y][x] && i < codewords.length * 8) {
+            qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0,
+  ];
+
+  function applyMask(qr, mask) {
+    for (let y = 0; y < qr.size; y++) {
+      for (let x = 0; x < qr.size; x++) {
+        if (!qr.isFunction[y][x] && MASKS[mask](x, y)) qr.modules[y][x] = !qr.modules[y][x];
+      }
+    }
+  }
+
+  // The spec's four penalty rules: long runs, 2×2 blocks, finder look-alikes, dark balance
+  function penalty(qr) {
+    const { size, modules } = qr;
+    let score = 0;
+    const finderLike = line => {
+      let n = 0;
+      const s = line.map(d => (d ? '1' : '0')).join('');
+      for (const p of ['10111010000', '00001011101']) {
+        for (let i = s.indexOf(p); i !== -1; i = s.indexOf(p, i + 1)) n++;
+      }
+      return n;
+    };
+    const runs = line => {
+      let total = 0, run = 1;
+      for (let i = 1; i <= line.length; i++) {
+        if (i < line.length && line[i] === line[i - 1]) { run++; continue; }
+        if (run >= 5) total += 3 + (run - 5);
+        run = 1;
+      }
+      return total;
+    };
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      const row = modules[y];
+      const col = modules.map(r => r[y]);
+      score += runs(row) + runs(col) + 40 * (finderLike(row) + finderLike(col));
+      for (let x = 0; x < size; x++) {
+        if (row[x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const c = row[x];
+          if (c === row[x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+        }
+      }
+    }
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+
+  // text → { size, modules: [[bool]] } (modules[y][x], true = dark), in the
+  // smallest version that fits. Throws if the text is too long for a QR code.
+  function encode(text, ecl) {
+    ecl = ecl === 'M' ? 'M' : 'L';
+    const bytes = [...new TextEncoder().encode(text)];
+    let ver = 1;
+    for (; ver <= 40; ver++) {
+      const needed = 4 + (ver <= 9 ? 8 : 16) + bytes.length * 8;
+      if (needed <= dataCodewords(ver, ecl) * 8) break;
+    }
+    if (ver > 40) throw new Error('Too much data for one QR code.');
+    const size = ver * 4 + 17;
+    const qr = { ver, ecl, size, modules: newGrid(size), isFunction: newGrid(size) };
+    drawFunctionPatterns(qr);
+    drawCodewords(qr, addEcc(dataBytes(bytes, ver, ecl), ver, ecl));
+
+    let best = 0, bestScore = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      applyMask(qr, mask);
+      drawFormatBits(qr, mask);
+      const score = penalty(qr);
+      if (score < bestScore) { best = mask; bestScore = score; }
+      applyMask(qr, mask); // XOR again to undo
+    }
+    applyMask(qr, best);
+    drawFormatBits(qr, best);
+    return { size, modules: qr.modules };
+  }
+
+  // An SVG string for the code, with the four-module quiet zone the spec asks for
+  function toSvg(text, ecl) {
+    const { size, modules } = encode(text, ecl);
+    const full = size + 8;
+    let path = '';
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+      if (dark) path += `M${x + 4},${y + 4}h1v1h-1z`;
+    }));
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${full} ${full}" shape-rendering="crispEdges">` +
+      `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  }
+
+  window.FestWizQR = { encode, toSvg };
+})();
@@ -0,0 +1,147 @@
+/* FestWiz — rating-scale.js
+ * The rating scale every view reads: how many levels there are, what each one
+ * is called and its colors. The Rate page lets users pick a preset or write
+ * their own; the scale is saved with their ratings (<namespace>_state
+ * .ratingScale) and the schedule page reads it from there.
+ *
+ * Exposes window.FestWizRatingScale = { PRESETS, MIN_LEVELS, MAX_LEVELS,
+ *   normalize, level, remap, remapRatings, applyColors, serialize }.
+ */
+(function () {
+  'use strict';
+
+  const MIN_LEVELS = 2;
+  const MAX_LEVELS = 5; // style.css has rated-1 … rated-5 rules
+
+  // A level without a color of its own uses the theme's --rating-N. Views that
+  // need a concrete hex (map markers, map sheet pills, the CSV export) use
+  // `marker` / `pastel` / `pastelText`; the classic levels keep the values
+  // those views have always used, other scales derive them from the color.
+  const PRESETS = {
+    classic: {
+      name: '1–4: Nope → Hell yeah',
+      levels: [
+        { label: 'Nope',      marker: '#6b7280', pastel: '#e1d0f5', pastelText: '#4a2d7a' },
+        { label: 'Sure',      marker: '#d97706', pastel: '#ffeb9c', pastelText: '#7a5800' },
+        { label: 'Psyched',   marker: '#2563eb', pastel: '#dae8fc', pastelText: '#1a3a6b' },
+        { label: 'Hell yeah', marker: '#1a7a4a', pastel: '#c6efce', pastelText: '#1a5c35' },
+      ],
+    },
+    five: {
+      name: '1–5: Nope → Hell yeah',
+      levels: [
+        { label: 'Nope',      color: '#9c6ade' },
+        { label: 'Meh',       color: '#90a4ae' },
+        { label: 'Sure',      color: '#fbc02d' },
+        { label: 'Psyched',   color: '#42a5f5' },
+        { label: 'Hell yeah', color: '#4caf50' },
+      ],
+    },
+  };
+
+  // Dark-theme --rating-N values, for deriving hex colors of uncolored levels
+  const THEME_COLORS = ['#9c6ade', '#fbc02d', '#42a5f5', '#4caf50', '#ec407a'];
+
+  const HEX_RE = /^#[0-9a-f]{6}$/i;
+
+  function toRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  }
+
+  function toHex(rgb) {
+    return '#' + rgb.map(c => Math.round(Math.max(0, Math.min(255, c))).toString(16).padStart(2, '0')).join('');
+  }
+
+  // Blend hex color a toward b by t (0 = a, 1 = b)
+  function mix(a, b, t) {
+    const x = toRgb(a), y = toRgb(b);
+    return toHex(x.map((c, i) => c + (y[i] - c) * t));
+  }
+
+  // Readable text color on a background
+  function textOn(hex) {
+    const [r, g, b] = toRgb(hex);
+    return (0.299 * r + 0.587 * g + 0.114 * b) / 255 > 0.6 ? '#111' : '#fff';
+  }
+
+  // Saved definition ({ preset, levels: [{ label, color }] }, or nothing) →
+  // { preset, levels: [{ value, label, color, marker, pastel, pastelText }],
+  //   max, good } where `good` is the lowest level the "3+4" style filters,
+  // shortlist export and celebration count (one below the top on 4+ levels).
+  function normalize(def) {
+    let raw = def && Array.isArray(def.levels) && def.levels.length >= MIN_LEVELS ? def.levels : null;
+    const preset = def && PRESETS[def.preset] ? def.preset : raw ? 'custom' : 'classic';
+    raw = (raw || PRESETS[preset].levels).slice(0, MAX_LEVELS);
+
+    const levels = raw.map((l, i) => {
+      const color = HEX_RE.test(l.color || '') ? l.color.toLowerCase() : null;
+      const swatch = color || THEME_COLORS[i];
+      // Four uncolored levels look like the classic scale everywhere
+      const classic = !color && raw.length === 4 ? PRESETS.classic.levels[i] : {};
+      return {
+        value: i + 1,
+        label: String(l.label || '').trim() || String(i + 1),
+        color,
+        marker: l.marker || classic.marker || mix(swatch, '#000000', 0.25),
+        pastel: l.pastel || classic.pastel || mix(swatch, '#ffffff', 0.75),
+        pastelText: l.pastelText || classic.pastelText || mix(swatch, '#000000', 0.55),
+      };
+    });
+    const max = levels.length;
+    return { preset, levels, max, good: max >= 4 ? max - 1 : max };
+  }
+
+  function level(scale, r) {
+    return scale.levels[r - 1] || null;
+  }
+
+  // Carry a rating from one scale to another. Same number of levels: unchanged
+  // (only the wording or colors differ). Otherwise a level with the same label
+  // keeps it ("Psyched" stays Psyched on the 5-point scale), and anything else
+  // lands at the same relative height.
+  function remap(r, from, to) {
+    if (!r || from.max === to.max) return r;
+    const label = level(from, r) && level(from, r).label.toLowerCase();
+    const same = label && to.levels.find(l => l.label.toLowerCase() === label);
+    if (same) return same.value;
+    return Math.round(1 + (Math.min(r, from.max) - 1) * (to.max - 1) / (from.max - 1));
+  }
+
+  function remapRatings(ratings, from, to) {
+    const out = {};
+    for (const [key, r] of Object.entries(ratings || {})) out[key] = remap(r, from, to);
+    return out;
+  }
+
+  // Point the --rating-N variables at the scale's own colors (on <body>, which
+  // is where the light theme sets them). Uncolored levels fall back to the theme.
+  function applyColors(scale) {
+    const style = document.body.style;
+    for (let n = 1; n <= MAX_LEVELS; n++) {
+      const l = level(scale, n);
+      if (l && l.color) {
+        style.setProperty(`--rating-${n}`, l.color);
+        style.setProperty(`--rating-${n}-text`, textOn(l.color));
+        style.setProperty(`--card-bg-${n}`, `color-mix(in srgb, ${l.color} 14%, var(--bg-card))`);
+      } else {
+        style.removeProperty(`--rating-${n}`);
+        style.removeProperty(`--rating-${n}-text`);
+        style.removeProperty(`--card-bg-${n}`);
+      }
+    }
+  }
+
+  // What gets saved / shared: the preset name plus labels and chosen colors
+  function serialize(scale) {
+    return {
+      preset: scale.preset,
+      levels: scale.levels.map(l => (l.color ? { label: l.label, color: l.color } : { label: l.label })),
+    };
+  }
+
+  window.FestWizRatingScale = {
+    PRESETS, MIN_LEVELS, MAX_LEVELS,
+    normalize, level, remap, remapRatings, applyColors, serialize,
+  };
+})();
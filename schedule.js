@@ -4,16 +4,22 @@
 
   // ── State ──────────────────────────────────────────────────────────────────
 
-  const FESTIVAL_FIRST_DAY = '2026-03-10';
-  const FESTIVAL_LAST_DAY  = '2026-03-18';
+  // Festival manifest (festival.json, via festival.js): dates, timezone, map
+  // center, storage namespace and data file paths
+  let festival = FestWizFestival.DEFAULT;
+  let FESTIVAL_FIRST_DAY = null; // "2026-03-10" — from manifest, else first day with shows
+  let FESTIVAL_LAST_DAY  = null;
 
   let allShows = [];        // raw shows.json array + unofficial shows from localStorage
   let venueOrder = {};      // venues.json: { "2026-03-10": [...], aliases: {...} }
   let venueAliases = {};   // full name → display name
-  let ratings = {};         // from localStorage sxsw2026_state (read-only on this page)
-  let hidePicks = 'show';   // mirrors Rate mode setting ('show' | 'hide')
+  let ratings = {};         // from localStorage <namespace>_state (read-only on this page)
+  let ratingScale = FestWizRatingScale.normalize(null); // the Rate page's scale, from the same state
+  let tags = {};            // the Rate page's user tags: { artistKey: ['see with Dana', …] }, same state
+  let pickLists = FestWizPickLists.normalize([]); // the Rate page's curator pick lists, same state
   let artistEntityIdMap = {}; // artist name (lowercase) → entity_id, for rating key resolution
   let artistMetaMap = {};    // artist name (lowercase) → { genre, subgenre, location, country }
+  let artistAliases = {};    // normForMatch(variant) → canonical name (artist_aliases.json + Rate-page merges)
   let searchFilter = '';     // free-text search across name/genre/subgenre/location
   let selectedDay = null;   // "2026-03-10"
   let selectedView = 'grid';
@@ -22,14 +28,15 @@
   let viewNow = null;        // current Now view time
   let viewNowShifted = false; // true when user has manually shifted away from system clock
   let nowNextTimer = null;
-  let agendaFilter = { r4: true, r3: false, picks: false };
+  let agendaFilter = { top: true, next: false, picks: false }; // top level, the one below it, unrated picks
   let checkins = {};
   let agendaTimer = null;
-  let gridZoom = parseFloat(localStorage.getItem('sxsw2026_grid_zoom') || '1');
+  let gridZoom = 1;         // restored from localStorage once the manifest is loaded
   let pendingCsvShows = []; // parsed shows waiting for confirmation
   let detailShow = null;    // show currently open in detail modal
-  let recommendedEntityIds = new Set();
-  let recommendedNames = new Set();    // lowercase artist names
+  let editingShow = null;   // user show open in the Add Show modal, null when adding
+  let recommendedPicks = {};  // recommended.json: { entity_ids, names } — the built-in pick list
+  let pickIndex = FestWizPickLists.buildIndex([], {}, normForMatch);
 
   // ── Helpers ────────────────────────────────────────────────────────────────
 
@@ -48,13 +55,42 @@
     return (s || '').toLowerCase().replace(/ & /g, ' and ');
   }
 
+  // Name an artist is filed under, following artist_aliases.json and the
+  // "same artist" merges made on the Rate page (chains capped as in app.js)
+  function canonArtist(name) {
+    let current = name;
+    for (let hops = 0; hops < 5; hops++) {
+      const next = artistAliases[normForMatch(current)];
+      if (!next || normForMatch(next) === normForMatch(current)) break;
+      current = next;
+    }
+    return current;
+  }
+
+  function addArtistAliases(aliases) {
+    for (const [variant, canonical] of Object.entries(aliases || {})) {
+      if (variant && canonical) artistAliases[normForMatch(variant)] = canonical;
+    }
+  }
+
+  // Artist metadata for a show, looked up under the canonical artist name
+  function artistMeta(show) {
+    return artistMetaMap[normForMatch(canonArtist(show.artist_name))];
+  }
+
   // Matches app.js: eid_NNNN for official artists, name_slug for unofficial.
   // For unofficial shows (entity_id null), fall back to artistEntityIdMap so that
   // official artists playing unofficial showcases still match their stored rating.
+  // Aliased names resolve to their canonical artist first, so an official
+  // artist merged into another official record on the Rate page files under
+  // that record's eid, where its ratings, notes and tags were moved.
   function showRatingKey(show) {
-    if (show.entity_id) return 'eid_' + show.entity_id;
-    const name = normForMatch(show.artist_name);
+    const name = normForMatch(canonArtist(show.artist_name));
     const eid = artistEntityIdMap[name];
+    if (show.entity_id) {
+      const merged = eid && name !== normForMatch(show.artist_name);
+      return 'eid_' + (merged ? eid : show.entity_id);
+    }
     if (eid) return 'eid_' + eid;
     return 'name_' + name.replace(/[^a-z0-9]/g, '_');
   }
@@ -63,11 +99,14 @@
     return ratings[showRatingKey(show)] || 0;
   }
 
+  function getTags(show) {
+    return tags[showRatingKey(show)] || [];
+  }
+
   const ADMISSION_LABELS = { badge: 'Badge', cover: 'Paid', free: 'Free' };
 
   function getAdmission(show) {
-    if (show.admission) return show.admission;
-    return show.source === 'official' ? 'badge' : 'free';
+    return FestWizSearch.admission(show);
   }
 
   // Compact 12h time: "9", "9:40", "12", "1" (no AM/PM — grid context makes it clear)
@@ -120,25 +159,84 @@
     return days;
   }
 
+  // Enabled pick lists the show's artist is on: by the show's entity_id, the
+  // official artist's (an official artist at an unofficial show has none on
+  // the show), or by name for unofficial picks
+  function showPickLists(show) {
+    const name = normForMatch(canonArtist(show.artist_name));
+    const eids = [show.entity_id, artistEntityIdMap[name]].filter(Boolean);
+    return FestWizPickLists.listsFor(pickIndex, eids, [name]);
+  }
+
   function isRecommended(show) {
-    // Direct entity_id on the show record
-    if (show.entity_id && recommendedEntityIds.has(String(show.entity_id))) return true;
-    const name = normForMatch(show.artist_name);
-    // Official artist appearing at an unofficial show (entity_id null on show)
-    const eid = artistEntityIdMap[name];
-    if (eid && recommendedEntityIds.has(String(eid))) return true;
-    // Name-based match for unofficial picks
-    return recommendedNames.has(name);
+    return showPickLists(show).length > 0;
+  }
+
+  // --pick-color for a pick's card or pill: its first list's color
+  function pickColor(show) {
+    return FestWizPickLists.colors(showPickLists(show)[0]).css;
   }
 
+  // Structured query term (genre:punk, rating>=3, after:21:00 …) against one show
+  function showMatchesClause(show, meta, clause) {
+    switch (clause.field) {
+      case 'artist':   return FestWizSearch.test(clause, show.artist_name);
+      case 'genre':    return !!meta && FestWizSearch.test(clause, meta.genre);
+      case 'subgenre': return !!meta && FestWizSearch.test(clause, meta.subgenre);
+      case 'country':  return !!meta && FestWizSearch.test(clause, meta.country);
+      case 'city':     return !!meta && FestWizSearch.test(clause, meta.city);
+      case 'location': return !!meta && FestWizSearch.test(clause, meta.location);
+      case 'venue':    return FestWizSearch.test(clause, show.venue);
+      case 'showcase': return FestWizSearch.test(clause, show.showcase);
+      case 'source':   return FestWizSearch.test(clause, show.source);
+      case 'rating':   return FestWizSearch.test(clause, getRating(show));
+      case 'tag':      return getTags(show).some(t => FestWizSearch.test(clause, t));
+      case 'day':      return FestWizSearch.test(clause, show.day);
+      case 'after':    return !!show.start_time && minutesFromDayStart(show.start_time) >= minutesFromDayStart(clause.value);
+      case 'before':   return !!show.start_time && minutesFromDayStart(show.start_time) < minutesFromDayStart(clause.value);
+      case 'free':     return getAdmission(show) === 'free';
+    }
+    return false;
+  }
+
+  // Typo-tolerant, accent-insensitive match via search.js (shared with the Rate page)
   function matchesSearch(show) {
     if (!searchFilter) return true;
-    const q = searchFilter.toLowerCase();
-    if (show.artist_name.toLowerCase().includes(q)) return true;
-    if ((show.venue || '').toLowerCase().includes(q)) return true;
-    const meta = artistMetaMap[normForMatch(show.artist_name)];
-    if (!meta) return false;
-    return meta.genre.includes(q) || meta.subgenre.includes(q) || meta.location.includes(q);
+    const compiled = FestWizSearch.compile(searchFilter);
+    const meta = artistMeta(show);
+    for (const clause of compiled.clauses) {
+      if (showMatchesClause(show, meta, clause) === clause.negate) return false;
+    }
+    return FestWizSearch.score(compiled, [
+      [show.artist_name, 3],
+      [show.venue, 1],
+      [meta && meta.genre, 1],
+      [meta && meta.subgenre, 1],
+      [meta && meta.location, 1],
+      ...getTags(show).map(t => [t, 1]),
+    ]) > 0;
+  }
+
+  // Parse-error hint for malformed queries (e.g. "rating>=x"): text under the
+  // drawer search box, red outline + tooltip on the compact grid search box
+  function updateSearchHint() {
+    const error = searchFilter ? FestWizSearch.compile(searchFilter).error : null;
+    const hint = document.getElementById('sched-search-hint');
+    if (hint) {
+      hint.textContent = error || '';
+      hint.hidden = !error;
+    }
+    const gridInput = document.getElementById('grid-search-input');
+    if (gridInput) {
+      gridInput.classList.toggle('grid-search-input--error', !!error);
+      gridInput.title = error || '';
+    }
+  }
+
+  // Escaped text with the current search's matches wrapped in <mark>
+  function highlightSearch(text) {
+    if (!searchFilter) return escHtml(text);
+    return FestWizSearch.highlight(text, FestWizSearch.compile(searchFilter));
   }
 
   function checkinKey(show) {
@@ -146,14 +244,21 @@
   }
 
   function venueMapUrl(name) {
-    return `https://maps.google.com/maps?q=${encodeURIComponent(name + ' Austin TX')}`;
+    const q = festival.map_search_suffix ? `${name} ${festival.map_search_suffix}` : name;
+    return `https://maps.google.com/maps?q=${encodeURIComponent(q)}`;
+  }
+
+  // Official artist page from the manifest template, e.g. ".../artists/{entity_id}"
+  function officialArtistUrl(entityId) {
+    if (!festival.official_artist_url || !entityId) return '';
+    return festival.official_artist_url.replace('{entity_id}', encodeURIComponent(entityId));
   }
 
   function todayShows() {
     if (!selectedDay) return [];
     let shows = allShows.filter(s => s.day === selectedDay);
-    if (showFilter === 'rated') shows = shows.filter(s => getRating(s) > 0 || (hidePicks !== 'hide' && isRecommended(s)));
-    else if (showFilter === 'top') shows = shows.filter(s => getRating(s) >= 3);
+    if (showFilter === 'rated') shows = shows.filter(s => getRating(s) > 0 || isRecommended(s));
+    else if (showFilter === 'top') shows = shows.filter(s => getRating(s) >= ratingScale.good);
     shows = shows.filter(s => admissionFilter.has(getAdmission(s)));
     shows = shows.filter(matchesSearch);
     return shows;
@@ -161,15 +266,23 @@
 
   // Parse a user-typed time string (12h or 24h) to "HH:MM"
   function parseUserTime(str) {
-    str = (str || '').trim();
+    // Spreadsheet spellings: "9.30 p.m.", "21:30:00", "930pm", "noon"
+    str = (str || '').trim().toLowerCase()
+      .replace(/\b([ap])\.?m\.?$/, '$1m')
+      .replace(/^(\d{1,2})\.(\d{2})/, '$1:$2')
+      .replace(/^(\d{1,2}:\d{2}):\d{2}/, '$1')
+      .replace(/^(\d{1,2})(\d{2})(?=\s*[ap]m$|$)/, '$1:$2');
+    if (str === 'noon') return '12:00';
+    if (str === 'midnight') return '00:00';
     // 24h: HH:MM
     let m = str.match(/^(\d{1,2}):(\d{2})$/);
-    if (m) return `${String(parseInt(m[1])).padStart(2, '0')}:${m[2]}`;
+    if (m) return +m[1] < 24 && +m[2] < 60 ? `${String(parseInt(m[1])).padStart(2, '0')}:${m[2]}` : null;
     // 12h: H:MM AM/PM or H AM/PM
-    m = str.match(/^(\d{1,2})(?::(\d{2}))?\s*(AM|PM)$/i);
+    m = str.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)$/);
     if (m) {
       let h = parseInt(m[1]);
       const mins = m[2] || '00';
+      if (h < 1 || h > 12 || +mins > 59) return null;
       const period = m[3].toUpperCase();
       if (period === 'PM' && h !== 12) h += 12;
       if (period === 'AM' && h === 12) h = 0;
@@ -178,49 +291,470 @@
     return null;
   }
 
-  // ── Unofficial shows localStorage ─────────────────────────────────────────
+  // ── Festival manifest ──────────────────────────────────────────────────────
+
+  async function loadFestival() {
+    festival = await FestWizFestival.load();
+    FESTIVAL_FIRST_DAY = festival.first_day;
+    FESTIVAL_LAST_DAY  = festival.last_day;
+    gridZoom = parseFloat(localStorage.getItem(nsKey('grid_zoom')) || '1');
+  }
+
+  // Namespaced localStorage key, e.g. nsKey('agenda') → "sxsw2026_agenda"
+  function nsKey(suffix) {
+    return `${festival.storage_namespace}_${suffix}`;
+  }
+
+  // Current wall-clock time at the festival. The returned Date's local fields
+  // (getHours, getDate…) read as festival time, matching parseShowTime().
+  function festivalNow() {
+    const now = new Date();
+    if (!festival.timezone) return now;
+    try {
+      return new Date(now.toLocaleString('en-US', { timeZone: festival.timezone }));
+    } catch {
+      return now;
+    }
+  }
+
+  // Festival-local date as "YYYY-MM-DD"; hours before DAY_START_HOUR belong to the previous day
+  function festivalTodayIso() {
+    const d = festivalNow();
+    if (d.getHours() < DAY_START_HOUR) d.setDate(d.getDate() - 1);
+    return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
+  }
+
+  // Every calendar day from first_day to last_day inclusive
+  function festivalDayRange() {
+    if (!FESTIVAL_FIRST_DAY || !FESTIVAL_LAST_DAY) return [];
+    const days = [];
+    const d = new Date(FESTIVAL_FIRST_DAY + 'T12:00:00');
+    const last = new Date(FESTIVAL_LAST_DAY + 'T12:00:00');
+    while (d <= last) {
+      days.push(`${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`);
+      d.setDate(d.getDate() + 1);
+    }
+    return days;
+  }
 
-  const USER_SHOWS_KEY = 'sxsw2026_user_shows';
+  // ── Unofficial shows localStorage ─────────────────────────────────────────
 
   function loadUserShows() {
     try {
-      return JSON.parse(localStorage.getItem(USER_SHOWS_KEY) || '[]');
+      return JSON.parse(localStorage.getItem(nsKey('user_shows')) || '[]');
     } catch {
       return [];
     }
   }
 
   function saveUserShows(userShows) {
-    localStorage.setItem(USER_SHOWS_KEY, JSON.stringify(userShows));
+    localStorage.setItem(nsKey('user_shows'), JSON.stringify(userShows));
   }
 
   // ── Agenda state persistence ───────────────────────────────────────────────
 
   function loadAgendaState() {
     try {
-      const raw = localStorage.getItem('sxsw2026_agenda');
+      const raw = localStorage.getItem(nsKey('agenda'));
       if (raw) {
         const d = JSON.parse(raw);
-        if (d.filter) agendaFilter = { r4: true, r3: false, picks: false, ...d.filter };
+        if (d.filter) {
+          // r4 / r3 are the names from before the rating scale was configurable
+          const { r4, r3, ...rest } = d.filter;
+          agendaFilter = { ...agendaFilter, ...rest };
+          if (r4 !== undefined && rest.top === undefined) agendaFilter.top = r4;
+          if (r3 !== undefined && rest.next === undefined) agendaFilter.next = r3;
+        }
         if (d.checkins) checkins = d.checkins;
       }
     } catch (e) {}
   }
 
   function saveAgendaState() {
-    localStorage.setItem('sxsw2026_agenda', JSON.stringify({ filter: agendaFilter, checkins }));
+    localStorage.setItem(nsKey('agenda'), JSON.stringify({ filter: agendaFilter, checkins }));
+  }
+
+  // ── Changes since last visit ───────────────────────────────────────────────
+  // The festival shows the user last acknowledged are kept as a compact
+  // snapshot. On load, fresh data is diffed against it and the changes stay
+  // listed (banner + panel) until the user marks them seen.
+
+  const CHANGES_LIST_LIMIT = 150; // rows per section before "…and N more"
+  let showChanges = [];
+  let pendingSnapshot = null;  // fresh snapshot, saved once the changes are marked seen
+
+  // Same identity the change list uses for a show: its id, else artist/venue/day
+  function showIdentity(show) {
+    return show.id || `${normName(show.artist_name)}|${canonVenue(show.venue)}|${show.day}`;
+  }
+
+  // { identity: [artist, venue, day, start, end, entity_id] } for festival (non-user) shows
+  function snapshotShows(shows) {
+    const snap = {};
+    for (const s of shows) {
+      if (s.source === 'user') continue;
+      let key = showIdentity(s);
+      // Same artist twice at one venue on one day: number the later sets
+      for (let n = 2; snap[key]; n++) key = `${showIdentity(s)}#${n}`;
+      snap[key] = [s.artist_name, s.venue, s.day, s.start_time || '', s.end_time || '', s.entity_id || ''];
+    }
+    return snap;
+  }
+
+  function snapshotToShow(entry) {
+    const [artist_name, venue, day, start_time, end_time, entity_id] = entry;
+    return { artist_name, venue, day, start_time, end_time, entity_id: entity_id || undefined };
+  }
+
+  // List of { type: 'added'|'removed'|'changed', before, after, fields } between two snapshots
+  function diffSnapshots(prev, next) {
+    const changes = [];
+    const removed = [];
+    const added = [];
+    for (const key in prev) {
+      if (!next[key]) { removed.push(prev[key]); continue; }
+      const [, v0, d0, s0, e0] = prev[key];
+      const [, v1, d1, s1, e1] = next[key];
+      const fields = [];
+      if (d0 !== d1) fields.push('day');
+      if (s0 !== s1 || e0 !== e1) fields.push('time');
+      if (canonVenue(v0) !== canonVenue(v1)) fields.push('venue');
+      if (fields.length) changes.push({ type: 'changed', before: prev[key], after: next[key], fields });
+    }
+    for (const key in next) {
+      if (!prev[key]) added.push(next[key]);
+    }
+
+    // Unofficial shows have no id and official ids embed the start hour, so a
+    // move shows up as remove + add. Pair those up by artist and day.
+    const addedByArtistDay = new Map();
+    for (const a of added) {
+      const k = `${normName(a[0])}|${a[2]}`;
+      if (!addedByArtistDay.has(k)) addedByArtistDay.set(k, []);
+      addedByArtistDay.get(k).push(a);
+    }
+    for (const r of removed) {
+      const candidates = addedByArtistDay.get(`${normName(r[0])}|${r[2]}`);
+      const a = candidates && candidates.shift();
+      if (!a) { changes.push({ type: 'removed', before: r, after: null, fields: [] }); continue; }
+      const fields = [];
+      if (r[3] !== a[3] || r[4] !== a[4]) fields.push('time');
+      if (canonVenue(r[1]) !== canonVenue(a[1])) fields.push('venue');
+      if (fields.length) changes.push({ type: 'changed', before: r, after: a, fields });
+    }
+    for (const list of addedByArtistDay.values()) {
+      for (const a of list) changes.push({ type: 'added', before: null, after: a, fields: [] });
+    }
+    return changes;
+  }
+
+  // 0 = in the user's plan, 1 = rated artist, 2 = everything else
+  function changePriority(change) {
+    const show = snapshotToShow(change.after || change.before);
+    if (inAgenda(show) || (change.before && inAgenda(snapshotToShow(change.before)))) return 0;
+    return getRating(show) > 0 ? 1 : 2;
+  }
+
+  function checkShowChanges(festivalShows) {
+    const fresh = snapshotShows(festivalShows);
+    let prev = null;
+    try {
+      const raw = localStorage.getItem(nsKey('shows_snapshot'));
+      if (raw) prev = JSON.parse(raw).shows;
+    } catch (e) { /* treat as first visit */ }
+
+    if (!prev) {
+      saveShowsSnapshot(fresh);
+      return;
+    }
+    showChanges = diffSnapshots(prev, fresh).map(c => ({ ...c, priority: changePriority(c) }));
+    showChanges.sort((a, b) => {
+      const x = a.after || a.before, y = b.after || b.before;
+      return a.priority - b.priority || x[2].localeCompare(y[2]) ||
+        minutesFromDayStart(x[3] || '00:00') - minutesFromDayStart(y[3] || '00:00');
+    });
+    pendingSnapshot = fresh;
+    updateChangesBanner();
+  }
+
+  function saveShowsSnapshot(shows) {
+    try {
+      localStorage.setItem(nsKey('shows_snapshot'), JSON.stringify({ saved: new Date().toISOString(), shows }));
+    } catch (e) {
+      console.warn('Could not save show snapshot:', e);
+    }
+  }
+
+  function updateChangesBanner() {
+    const banner = document.getElementById('changes-banner');
+    if (!banner) return;
+    banner.hidden = showChanges.length === 0;
+    if (!showChanges.length) return;
+    const mine = showChanges.filter(c => c.priority === 0).length;
+    const label = `${showChanges.length} schedule change${showChanges.length === 1 ? '' : 's'} since your last visit`;
+    document.getElementById('changes-banner-text').textContent =
+      mine ? `${label} — ${mine} in your plan` : label;
+  }
+
+  function describeSlot(entry) {
+    const [, venue, day, start, end] = entry;
+    const time = start ? `${formatTime12(start)}${end ? '–' + formatTime12(end) : ''}` : 'No set time';
+    return `${formatDayLabel(day)} · ${time} · ${venue}`;
+  }
+
+  function changeRowHtml(change, index) {
+    const label = change.type === 'added' ? 'New'
+      : change.type === 'removed' ? 'Removed'
+      : change.fields.includes('venue') ? 'Moved'
+      : change.fields.includes('day') ? 'New day'
+      : 'Time';
+    const entry = change.after || change.before;
+    const detail = change.type === 'changed'
+      ? `<s>${escHtml(describeSlot(change.before))}</s><br>${escHtml(describeSlot(change.after))}`
+      : escHtml(describeSlot(entry));
+    const clickable = change.type !== 'removed';
+    return `<div class="change-row change-row--${change.type}${clickable ? ' change-row--link' : ''}" data-index="${index}">
+      <span class="change-row__badge">${label}</span>
+      <div class="change-row__main">
+        <div class="change-row__artist">${escHtml(entry[0])}</div>
+        <div class="change-row__detail">${detail}</div>
+      </div>
+    </div>`;
+  }
+
+  function openChangesPanel() {
+    const body = document.getElementById('changes-list');
+    const sections = [
+      ['In your plan', 0],
+      ['Artists you rated', 1],
+      ['Other shows', 2],
+    ];
+    let html = '';
+    for (const [title, priority] of sections) {
+      const rows = showChanges.map((c, i) => [c, i]).filter(([c]) => c.priority === priority);
+      if (!rows.length) continue;
+      html += `<div class="changes-section__title">${title} (${rows.length})</div>`;
+      html += rows.slice(0, CHANGES_LIST_LIMIT).map(([c, i]) => changeRowHtml(c, i)).join('');
+      if (rows.length > CHANGES_LIST_LIMIT) {
+        html += `<div class="changes-more">…and ${rows.length - CHANGES_LIST_LIMIT} more</div>`;
+      }
+    }
+    body.innerHTML = html || '<p class="changes-more">No changes.</p>';
+    document.getElementById('modal-changes').classList.add('visible');
+  }
+
+  function setupChanges() {
+    document.getElementById('btn-show-changes').addEventListener('click', openChangesPanel);
+    document.getElementById('btn-close-changes').addEventListener('click', () => closeModal('modal-changes'));
+    document.getElementById('btn-ack-changes').addEventListener('click', () => {
+      if (pendingSnapshot) saveShowsSnapshot(pendingSnapshot);
+      pendingSnapshot = null;
+      showChanges = [];
+      updateChangesBanner();
+      closeModal('modal-changes');
+    });
+    document.getElementById('changes-list').addEventListener('click', e => {
+      const row = e.target.closest('.change-row--link');
+      if (!row) return;
+      const entry = showChanges[Number(row.dataset.index)].after;
+      const show = allShows.find(s => s.artist_name === entry[0] && s.venue === entry[1] &&
+        s.day === entry[2] && (s.start_time || '') === entry[3]);
+      if (!show) return;
+      closeModal('modal-changes');
+      openDetail(show);
+    });
+  }
+
+  // ── Plan alerts ────────────────────────────────────────────────────────────
+  // The planned shows (agenda tiers, all days) are remembered after every load.
+  // When fresh data moves or drops one — on load, on the periodic refresh, or
+  // when the service worker sees new show data — a banner and a local
+  // notification name the show, its old and new slot and any new clashes.
+  // Matching lives in plan-watch.js, shared with the service worker.
+
+  const PLAN_REFRESH_MS = 15 * 60 * 1000;
+  let lastShowFetch = 0;
+  let loadedShowData = '';  // the festival shows as last loaded, to tell whether a refresh changed anything
+  let planAlerts = [];
+
+  function currentPlan() {
+    return allShows
+      .filter(s => s.source !== 'user' && inAgenda(s))
+      .map(FestWizPlanWatch.planEntry);
+  }
+
+  // Remember the current plan, and hand it to the service worker so background
+  // refreshes can check it while no page is open
+  function saveWatchedPlan() {
+    const plan = currentPlan();
+    try {
+      localStorage.setItem(nsKey('plan_watch'), JSON.stringify(plan));
+    } catch (e) { /* quota — alerts just won't fire */ }
+    if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+      const data = [festival.data.shows, festival.data.unofficial_shows]
+        .map(p => new URL(p, window.location.href).pathname);
+      navigator.serviceWorker.controller.postMessage({ type: 'plan-watch', plan, data });
+    }
+  }
+
+  function checkPlan(festivalShows) {
+    let watched = null;
+    try {
+      watched = JSON.parse(localStorage.getItem(nsKey('plan_watch')) || 'null');
+    } catch (e) { /* first visit */ }
+    if (Array.isArray(watched)) {
+      const changes = FestWizPlanWatch.findPlanChanges(watched, festivalShows);
+      if (changes.length) {
+        planAlerts = [...changes, ...planAlerts];
+        renderPlanAlerts();
+        notifyPlanChanges(changes);
+      }
+    }
+    saveWatchedPlan();
+  }
+
+  // Local notification — only when the page is in the background; a visible
+  // page already shows the banner
+  function notifyPlanChanges(changes) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    if (document.visibilityState === 'visible') return;
+    for (const change of changes) {
+      const { title, body } = FestWizPlanWatch.describeChange(change);
+      const options = { body, icon: '/icon-192.png', tag: `plan-${change.before.artist}-${change.before.day}`, data: { url: '/schedule' } };
+      if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+        navigator.serviceWorker.ready.then(reg => reg.showNotification(title, options));
+      } else {
+        try { new Notification(title, options); } catch (e) { /* e.g. Android requires the SW */ }
+      }
+    }
+  }
+
+  function renderPlanAlerts() {
+    const banner = document.getElementById('plan-alert-banner');
+    if (!banner) return;
+    banner.hidden = planAlerts.length === 0;
+    document.getElementById('plan-alert-list').innerHTML = planAlerts.map(change => {
+      const { title, body } = FestWizPlanWatch.describeChange(change);
+      return `<div class="plan-alert"><strong>${escHtml(title)}</strong> ${escHtml(body)}</div>`;
+    }).join('');
+  }
+
+  async function refreshShowData() {
+    lastShowFetch = Date.now();
+    let shows, unofficialShows;
+    try {
+      const [showsRes, unofficialShowsRes] = await Promise.all([
+        fetch(festival.data.shows),
+        fetch(festival.data.unofficial_shows),
+      ]);
+      if (!showsRes.ok) return;
+      shows = await showsRes.json();
+      unofficialShows = unofficialShowsRes.ok ? await unofficialShowsRes.json() : [];
+    } catch (e) {
+      return; // offline — keep what we have
+    }
+    const festivalShows = mergeUnofficialShows(shows, unofficialShows);
+    // Unchanged data: leave the view alone (re-rendering would rebuild the map
+    // and close its popups)
+    const data = JSON.stringify(festivalShows);
+    if (data === loadedShowData) return;
+    loadedShowData = data;
+    const days = allDays().join();
+    allShows = festivalShows.slice();
+    mergeUserShows();
+    checkShowChanges(festivalShows);
+    checkPlan(festivalShows);
+    if (allDays().join() !== days) {
+      buildDayTabs();
+      populateDaySelects();
+    }
+    renderCurrentView();
+  }
+
+  function setupPlanRefresh() {
+    setInterval(refreshShowData, PLAN_REFRESH_MS);
+    if (!('serviceWorker' in navigator)) return;
+    // The worker saw new show data (e.g. fetched by the Rate page in another
+    // tab). Our own fetches trigger this too, so skip it right after one.
+    navigator.serviceWorker.addEventListener('message', e => {
+      if (e.data && e.data.type === 'shows-updated' && Date.now() - lastShowFetch > 30000) refreshShowData();
+    });
+    // Ask for background refreshes where supported (installed PWA on Chromium)
+    navigator.serviceWorker.ready.then(reg => {
+      if (reg.periodicSync) return reg.periodicSync.register('refresh-shows', { minInterval: 60 * 60 * 1000 });
+    }).catch(() => { /* not permitted */ });
+  }
+
+  function setupPlanAlerts() {
+    document.getElementById('btn-dismiss-plan-alerts').addEventListener('click', () => {
+      planAlerts = [];
+      renderPlanAlerts();
+    });
   }
 
   // ── Data loading ───────────────────────────────────────────────────────────
 
+  // Fuzzy name normalisation for dedup and change tracking. Strips leading
+  // articles and collapses non-alphanumeric chars so "The Family Battenberg"
+  // and "Family Battenberg" share the same key.
+  function normName(n) {
+    return n.toLowerCase()
+      .replace(/ & /g, ' and ')
+      .replace(/^(the|a|an)\s+/, '')
+      .replace(/[^a-z0-9]/g, '');
+  }
+
+  // Adds developer-curated unofficial shows to the official list (in place)
+  function mergeUnofficialShows(shows, unofficialShows) {
+    if (!Array.isArray(unofficialShows) || unofficialShows.length === 0) return shows;
+
+    // Option A: build a slot map so official shows can inherit unofficial admission
+    const unofficialBySlot = new Map();
+    for (const s of unofficialShows) {
+      const slotKey = `${s.venue}|${s.day}|${s.start_time}`;
+      if (!unofficialBySlot.has(slotKey)) unofficialBySlot.set(slotKey, s);
+    }
+    // Override admission on official shows where an unofficial entry exists at the same slot
+    for (const s of shows) {
+      const match = unofficialBySlot.get(`${s.venue}|${s.day}|${s.start_time}`);
+      if (match) s.admission = match.admission;
+    }
+
+    // Option B: fuzzy name normalisation (normName) for dedup
+    const existingKeys = new Set(shows.map(s =>
+      `${normName(s.artist_name)}|${canonVenue(s.venue)}|${s.day}|${s.start_time}`
+    ));
+    for (const show of unofficialShows) {
+      if (!existingKeys.has(`${normName(show.artist_name)}|${canonVenue(show.venue)}|${show.day}|${show.start_time}`)) {
+        shows.push(show);
+      }
+    }
+    return shows;
+  }
+
+  // Merge user-submitted shows from localStorage into allShows
+  function mergeUserShows() {
+    const userShows = loadUserShows();
+    const existingKeys = new Set(allShows.map(s =>
+      `${s.artist_name}|${s.venue}|${s.day}|${s.start_time}`
+    ));
+    for (const show of userShows) {
+      if (!existingKeys.has(`${show.artist_name}|${show.venue}|${show.day}|${show.start_time}`)) {
+        allShows.push(show);
+      }
+    }
+  }
+
   async function loadAll() {
+    lastShowFetch = Date.now();
     try {
-      const [showsRes, unofficialShowsRes, venuesRes, artistsRes, recommendedRes] = await Promise.all([
-        fetch('shows.json'),
-        fetch('unofficial_shows.json'),
-        fetch('venues.json'),
-        fetch('artists.json'),
-        fetch('recommended.json'),
+      const [showsRes, unofficialShowsRes, venuesRes, artistsRes, recommendedRes, aliasesRes] = await Promise.all([
+        fetch(festival.data.shows),
+        fetch(festival.data.unofficial_shows),
+        fetch(festival.data.venues),
+        fetch(festival.data.artists),
+        fetch(festival.data.recommended),
+        fetch(festival.data.artist_aliases),
       ]);
       allShows = await showsRes.json();
       venueOrder = await venuesRes.json();
@@ -237,55 +771,25 @@
               genre:    (a.genre    || '').toLowerCase(),
               subgenre: (a.subgenre || '').toLowerCase(),
               location: (a.location || [a.city, a.state, a.country].filter(Boolean).join(', ')).toLowerCase(),
+              country:  (a.country  || '').toLowerCase(),
+              city:     (a.city     || '').toLowerCase(),
               displayGenre:    a.genre    || '',
               displaySubgenre: a.subgenre || '',
             };
           }
         }
       }
-      venueAliases = venueOrder.aliases || {};
+      venueAliases = { ...(venueOrder.aliases || {}), ...loadUserVenueAliases() };
+      if (aliasesRes.ok) addArtistAliases((await aliasesRes.json()).aliases);
 
       // Load developer-curated recommended artists
       if (recommendedRes.ok) {
-        const rData = await recommendedRes.json();
-        recommendedEntityIds = new Set((rData.entity_ids || []).map(id => String(id)));
-        recommendedNames     = new Set((rData.names || []).map(n => normForMatch(n)));
+        recommendedPicks = await recommendedRes.json();
       }
 
       // Merge developer-curated unofficial shows from static file
       if (unofficialShowsRes.ok) {
-        const unofficialShows = await unofficialShowsRes.json();
-        if (Array.isArray(unofficialShows) && unofficialShows.length > 0) {
-          // Option A: build a slot map so official shows can inherit unofficial admission
-          const unofficialBySlot = new Map();
-          for (const s of unofficialShows) {
-            const slotKey = `${s.venue}|${s.day}|${s.start_time}`;
-            if (!unofficialBySlot.has(slotKey)) unofficialBySlot.set(slotKey, s);
-          }
-          // Override admission on official shows where an unofficial entry exists at the same slot
-          for (const s of allShows) {
-            const match = unofficialBySlot.get(`${s.venue}|${s.day}|${s.start_time}`);
-            if (match) s.admission = match.admission;
-          }
-
-          // Option B: fuzzy name normalisation for dedup
-          // Strips leading articles and collapses non-alphanumeric chars so
-          // "The Family Battenberg" and "Family Battenberg" share the same key.
-          function normName(n) {
-            return n.toLowerCase()
-              .replace(/ & /g, ' and ')
-              .replace(/^(the|a|an)\s+/, '')
-              .replace(/[^a-z0-9]/g, '');
-          }
-          const existingKeys = new Set(allShows.map(s =>
-            `${normName(s.artist_name)}|${canonVenue(s.venue)}|${s.day}|${s.start_time}`
-          ));
-          for (const show of unofficialShows) {
-            if (!existingKeys.has(`${normName(show.artist_name)}|${canonVenue(show.venue)}|${show.day}|${show.start_time}`)) {
-              allShows.push(show);
-            }
-          }
-        }
+        mergeUnofficialShows(allShows, await unofficialShowsRes.json());
       }
     } catch (e) {
       console.warn('Failed to load data:', e);
@@ -293,30 +797,33 @@
 
     // Load ratings from localStorage (read-only on schedule page)
     try {
-      const raw = localStorage.getItem('sxsw2026_state');
+      const raw = localStorage.getItem(nsKey('state'));
       if (raw) {
         const state = JSON.parse(raw);
         ratings = state.ratings || {};
-        hidePicks = state.hidePicks || 'show';
+        tags = state.tags || {};
+        ratingScale = FestWizRatingScale.normalize(state.ratingScale);
+        pickLists = FestWizPickLists.normalize(state.pickLists, state.hidePicks);
+        addArtistAliases(state.artistAliases);
       }
     } catch (e) { /* ignore */ }
+    pickIndex = FestWizPickLists.buildIndex(pickLists, recommendedPicks, normForMatch);
 
-    loadAgendaState();
+    FestWizRatingScale.applyColors(ratingScale);
+    const topFilterBtn = document.querySelector('#btn-rated-only [data-filter="top"]');
+    if (topFilterBtn) topFilterBtn.textContent = `${ratingScale.good}+`;
 
-    // Merge user-submitted shows from localStorage
-    const userShows = loadUserShows();
-    const existingKeys = new Set(allShows.map(s =>
-      `${s.artist_name}|${s.venue}|${s.day}|${s.start_time}`
-    ));
-    for (const show of userShows) {
-      if (!existingKeys.has(`${show.artist_name}|${show.venue}|${show.day}|${show.start_time}`)) {
-        allShows.push(show);
-      }
-    }
+    loadAgendaState();
+    const festivalShows = allShows.slice();
+    loadedShowData = JSON.stringify(festivalShows);
+    mergeUserShows();
 
     buildDayTabs();
     populateDaySelects();
     populateVenueDatalist();
+    checkShowChanges(festivalShows);
+    checkPlan(festivalShows);
+    setupPlanRefresh();
 
     // Apply any URL params passed in from the artist detail modal
     const params = new URLSearchParams(window.location.search);
@@ -339,7 +846,7 @@
       // Arrived from rate page — stay on grid, don't restore saved view
       history.replaceState({}, '', window.location.pathname);
     } else {
-      const savedView = localStorage.getItem('sxsw2026_last_view');
+      const savedView = localStorage.getItem(nsKey('last_view'));
       if (savedView && ['nownext', 'grid', 'agenda'].includes(savedView)) {
         selectedView = savedView;
         document.querySelectorAll('.view-btn').forEach(b => {
@@ -363,33 +870,32 @@
       return;
     }
 
-    // Auto-select today if present, else first day
-    // Use local time; hours before 9 AM belong to the previous calendar day
-    const todayIso = (() => {
-      const d = new Date();
-      if (d.getHours() < 9) d.setDate(d.getDate() - 1);
-      return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
-    })();
-    selectedDay = days.includes(todayIso) ? todayIso : days[0];
+    // Keep the selected day if it's still there; else today (festival-local)
+    // if present, else the first day
+    const todayIso = festivalTodayIso();
+    if (!days.includes(selectedDay)) selectedDay = days.includes(todayIso) ? todayIso : days[0];
 
-    const hasPre   = days[0] < FESTIVAL_FIRST_DAY;
+    // Without manifest dates, every day with shows counts as a festival day
+    const firstDay = FESTIVAL_FIRST_DAY || days[0];
+    const lastDay  = FESTIVAL_LAST_DAY  || days[days.length - 1];
+    const hasPre   = days[0] < firstDay;
     let addedPreDivider   = false;
     let addedBonusDivider = false;
 
     for (const day of days) {
       // Divider between pre-festival and festival days
-      if (hasPre && !addedPreDivider && day >= FESTIVAL_FIRST_DAY) {
+      if (hasPre && !addedPreDivider && day >= firstDay) {
         bar.appendChild(makeDayDivider());
         addedPreDivider = true;
       }
       // Divider between festival and post-festival days
-      if (!addedBonusDivider && day > FESTIVAL_LAST_DAY) {
+      if (!addedBonusDivider && day > lastDay) {
         bar.appendChild(makeDayDivider());
         addedBonusDivider = true;
       }
 
-      const isBonus = day > FESTIVAL_LAST_DAY;
-      const isPre   = day < FESTIVAL_FIRST_DAY;
+      const isBonus = day > lastDay;
+      const isPre   = day < firstDay;
 
       const btn = document.createElement('button');
       btn.className = 'day-tab' + (day === selectedDay ? ' active' : '');
@@ -401,7 +907,7 @@
         selectedDay = day;
         if (selectedView === 'nownext') {
           // Shift viewNow to the clicked day, keep same time-of-day
-          if (!viewNow) viewNow = new Date();
+          if (!viewNow) viewNow = festivalNow();
           const [y, mo, d] = day.split('-').map(Number);
           viewNow = new Date(viewNow);
           viewNow.setFullYear(y, mo - 1, d);
@@ -429,25 +935,19 @@
   function updatePostFestivalBanner() {
     const banner = document.getElementById('post-festival-banner');
     if (!banner) return;
-    banner.hidden = !selectedDay || selectedDay <= FESTIVAL_LAST_DAY;
+    banner.hidden = !selectedDay || !FESTIVAL_LAST_DAY || selectedDay <= FESTIVAL_LAST_DAY;
   }
 
   function populateDaySelects() {
     const days = allDays();
-    const todayIso = (() => {
-      const d = new Date();
-      if (d.getHours() < 9) d.setDate(d.getDate() - 1);
-      return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
-    })();
+    const todayIso = festivalTodayIso();
 
-    for (const selId of ['add-show-day', 'import-csv-day']) {
+    for (const selId of ['add-show-day', 'import-csv-day', 'import-rows-day', 'import-flyer-day']) {
       const sel = document.getElementById(selId);
       if (!sel) continue;
       sel.innerHTML = '';
-      // Always include a few festival days even if shows.json is empty
-      const options = days.length > 0 ? days : [
-        '2026-03-10', '2026-03-11', '2026-03-12', '2026-03-13', '2026-03-14', '2026-03-15',
-      ];
+      // Fall back to the manifest's festival days if no shows are loaded yet
+      const options = days.length > 0 ? days : festivalDayRange();
       for (const d of options) {
         const opt = document.createElement('option');
         opt.value = d;
@@ -458,11 +958,17 @@
     }
   }
 
+  // Venue names from venues.json's day lists and the loaded shows
+  function knownVenueNames() {
+    const venues = new Set(Object.values(venueOrder).flat().filter(v => typeof v === 'string'));
+    allShows.forEach(s => venues.add(s.venue));
+    return venues;
+  }
+
   function populateVenueDatalist() {
     const dl = document.getElementById('venue-datalist');
     if (!dl) return;
-    const venues = new Set(Object.values(venueOrder).flat());
-    allShows.forEach(s => venues.add(s.venue));
+    const venues = knownVenueNames();
     dl.innerHTML = '';
     for (const v of [...venues].sort()) {
       const opt = document.createElement('option');
@@ -492,6 +998,7 @@
       case 'manage':    renderManage();  break;
       case 'map':       renderMap();     break;
     }
+    updateSearchHint();
   }
 
   // ── Now / Next view ────────────────────────────────────────────────────────
@@ -507,7 +1014,7 @@
   }
 
   function renderNowNext() {
-    if (!viewNowShifted) viewNow = new Date(); // always track real time unless user shifted
+    if (!viewNowShifted) viewNow = festivalNow(); // always track real (festival-local) time unless user shifted
 
     const el = document.getElementById('view-nownext');
     el.innerHTML = '';
@@ -543,8 +1050,8 @@
 
     const now = viewNow;
     const shows = allShows.filter(s => {
-      if (showFilter === 'rated' && getRating(s) === 0 && !(hidePicks !== 'hide' && isRecommended(s))) return false;
-      if (showFilter === 'top' && getRating(s) < 3) return false;
+      if (showFilter === 'rated' && getRating(s) === 0 && !isRecommended(s)) return false;
+      if (showFilter === 'top' && getRating(s) < ratingScale.good) return false;
       if (!admissionFilter.has(getAdmission(s))) return false;
       if (!matchesSearch(s)) return false;
       const start = parseShowTime(s.day, s.start_time);
@@ -622,9 +1129,10 @@
     }
 
     const admission = getAdmission(show);
-    const isPick = rating === 0 && hidePicks !== 'hide' && isRecommended(show);
+    const isPick = rating === 0 && isRecommended(show);
     const card = document.createElement('div');
     card.className = `nownext-card${rating ? ` nownext-card--rated-${rating}` : isPick ? ' nownext-card--fw-pick' : ''}`;
+    if (isPick) card.style.setProperty('--pick-color', pickColor(show));
     card.innerHTML = `
       <div class="nownext-rating${rating ? ` nownext-rating--${rating}` : isPick ? ' nownext-rating--fw-pick' : ''}">${rating || (isPick ? '★' : '?')}</div>
       <div class="nownext-info">
@@ -659,7 +1167,7 @@
     el.innerHTML = '';
 
     const shows = todayShows().filter(s => s.start_time && !s.no_set_time);
-    const now = new Date();
+    const now = festivalNow();
 
     // Total height: 9 AM to 2 AM = 17 hours = 1020 min
     const totalMins = 17 * 60;
@@ -752,10 +1260,11 @@
 
       const isConflict = conflicting.has(show.artist_name + show.venue + show.start_time);
 
-      const isPick = rating === 0 && hidePicks !== 'hide' && isRecommended(show);
+      const isPick = rating === 0 && isRecommended(show);
       const block = document.createElement('div');
       block.className = `timeline-show${rating ? ` timeline-show--rated-${rating}` : isPick ? ' timeline-show--fw-pick' : ''}${isConflict ? ' timeline-show--conflict' : ''}`;
       block.style.cssText = `top:${startMin * PX_PER_MIN}px;height:${height}px;left:${blockLeft};width:${blockWidth};z-index:${blockZ};opacity:${blockOpacity};`;
+      if (isPick) block.style.setProperty('--pick-color', pickColor(show));
       block.innerHTML = `
         <div class="timeline-show-name">${escHtml(show.artist_name)}</div>
         ${height > 40 ? `<div class="timeline-show-venue">${escHtml(show.venue)}</div>` : ''}
@@ -837,18 +1346,18 @@
     renderAgenda();
   }
 
-  function agendaShows() {
-    if (!selectedDay) return [];
-    let shows = allShows.filter(s => s.day === selectedDay);
+  // Agenda filter: union of the enabled tiers
+  function inAgenda(show) {
+    const r = getRating(show);
+    if (agendaFilter.top && r === ratingScale.max) return true;
+    if (agendaFilter.next && r === ratingScale.max - 1) return true;
+    if (agendaFilter.picks && r === 0 && isRecommended(show)) return true;
+    return false;
+  }
 
-    // Apply agenda filter (union of enabled tiers)
-    shows = shows.filter(s => {
-      const r = getRating(s);
-      if (agendaFilter.r4 && r === 4) return true;
-      if (agendaFilter.r3 && r === 3) return true;
-      if (agendaFilter.picks && r === 0 && hidePicks !== 'hide' && isRecommended(s)) return true;
-      return false;
-    });
+  function agendaShows(day = selectedDay) {
+    if (!day) return [];
+    let shows = allShows.filter(s => s.day === day).filter(inAgenda);
 
     // Chronological: timed shows first (by start_time), then no-set-time shows
     const timed = shows.filter(s => s.start_time && !s.no_set_time)
@@ -859,22 +1368,22 @@
 
   function createAgendaCard(show) {
     const rating  = getRating(show);
-    const isPick  = rating === 0 && hidePicks !== 'hide' && isRecommended(show);
+    const isPick  = rating === 0 && isRecommended(show);
     const key     = checkinKey(show);
     const attended = !!checkins[key];
     const admission = getAdmission(show);
-    const now = new Date();
+    const now = festivalNow();
     const isPast = !!(show.start_time && !show.no_set_time &&
       parseShowTime(show.day, show.start_time) < now);
 
     const card = document.createElement('div');
     const classes = ['agenda-card'];
-    if (rating === 4)    classes.push('agenda-card--rated-4');
-    else if (rating === 3) classes.push('agenda-card--rated-3');
+    if (rating)          classes.push(`agenda-card--rated-${rating}`);
     else if (isPick)     classes.push('agenda-card--fw-pick');
     if (isPast && !attended) classes.push('agenda-card--past');
     if (attended)        classes.push('agenda-card--attended');
     card.className = classes.join(' ');
+    if (isPick) card.style.setProperty('--pick-color', pickColor(show));
 
     // Check circle
     const check = document.createElement('div');
@@ -916,6 +1425,26 @@
     metaEl.appendChild(document.createTextNode(` · ${ADMISSION_LABELS[admission]}`));
     info.appendChild(metaEl);
 
+    if (isPick) {
+      const picksEl = document.createElement('div');
+      picksEl.className = 'agenda-picks';
+      picksEl.textContent = '★ ' + showPickLists(show).map(l => l.name).join(' · ');
+      info.appendChild(picksEl);
+    }
+
+    const showTags = getTags(show);
+    if (showTags.length) {
+      const tagsEl = document.createElement('div');
+      tagsEl.className = 'agenda-tags';
+      for (const tag of showTags) {
+        const chip = document.createElement('span');
+        chip.className = 'agenda-tag';
+        chip.textContent = tag;
+        tagsEl.appendChild(chip);
+      }
+      info.appendChild(tagsEl);
+    }
+
     if (attended) {
       const badge = document.createElement('div');
       badge.className = 'agenda-attended-badge';
@@ -957,18 +1486,38 @@
     filterLabel.textContent = 'Show:';
     filterBar.appendChild(filterLabel);
 
-    for (const f of [{ key: 'r4', label: '★★★★' }, { key: 'r3', label: '★★★' }, { key: 'picks', label: 'FW Picks' }]) {
+    const top = FestWizRatingScale.level(ratingScale, ratingScale.max);
+    const next = FestWizRatingScale.level(ratingScale, ratingScale.max - 1);
+    for (const f of [
+      { key: 'top', label: '★'.repeat(top.value), title: top.label },
+      { key: 'next', label: '★'.repeat(next.value), title: next.label },
+      { key: 'picks', label: 'Picks' },
+    ]) {
       const btn = document.createElement('button');
       btn.className = 'agenda-filter-btn' + (agendaFilter[f.key] ? ' agenda-filter-btn--active' : '');
       btn.textContent = f.label;
+      if (f.title) btn.title = f.title;
       btn.addEventListener('click', () => {
         agendaFilter[f.key] = !agendaFilter[f.key];
         saveAgendaState();
+        saveWatchedPlan();
         renderAgenda();
       });
       filterBar.appendChild(btn);
     }
 
+    // Opt in to local notifications for plan changes
+    if ('Notification' in window && Notification.permission === 'default') {
+      const alertBtn = document.createElement('button');
+      alertBtn.className = 'agenda-filter-btn';
+      alertBtn.textContent = '🔔 Alerts';
+      alertBtn.title = 'Notify me when a show on my plan moves or is cancelled';
+      alertBtn.addEventListener('click', () => {
+        Notification.requestPermission().then(() => renderAgenda());
+      });
+      filterBar.appendChild(alertBtn);
+    }
+
     // Day navigation: [←] [Thu 3/13] [→]
     const days = allDays();
     const dayIdx = days.indexOf(selectedDay);
@@ -992,6 +1541,23 @@
     dayNav.appendChild(nextBtn);
     filterBar.appendChild(dayNav);
 
+    // Calendar export: this day's plan or every day's
+    const exportMenu = document.createElement('details');
+    exportMenu.className = 'agenda-export';
+    exportMenu.innerHTML = `
+      <summary class="agenda-filter-btn" title="Download your plan as a calendar file">📅 .ics</summary>
+      <div class="agenda-export-menu">
+        <button data-scope="day">This day</button>
+        <button data-scope="all">Every day</button>
+      </div>`;
+    exportMenu.querySelector('.agenda-export-menu').addEventListener('click', e => {
+      const btn = e.target.closest('[data-scope]');
+      if (!btn) return;
+      exportMenu.open = false;
+      exportPlanIcs(btn.dataset.scope === 'all' ? null : selectedDay);
+    });
+    filterBar.appendChild(exportMenu);
+
     el.appendChild(filterBar);
 
     // Swipe left/right to change day
@@ -1013,7 +1579,7 @@
     if (shows.length === 0) {
       const empty = document.createElement('div');
       empty.className = 'sched-loading';
-      empty.innerHTML = 'No shows match your filters for this day.<br><small>Try enabling ★★★ or FW Picks above.</small>';
+      empty.innerHTML = 'No shows match your filters for this day.<br><small>Try enabling ★★★ or Picks above.</small>';
       el.appendChild(empty);
       return;
     }
@@ -1028,6 +1594,141 @@
     agendaTimer = setInterval(() => renderAgenda(), 60000);
   }
 
+  // ── Calendar (.ics) export ─────────────────────────────────────────────────
+  // The Plan view as an iCalendar file. UIDs come from artist, venue and day
+  // (not the time), so importing a newer export updates events that moved
+  // instead of duplicating them. Times are converted to UTC from the
+  // festival's timezone; without one they're left floating (device-local).
+
+  function icsEscape(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+  }
+
+  // Lines longer than 75 octets continue on the next line after a space
+  function icsFold(line) {
+    const out = [];
+    let cur = '', bytes = 0;
+    for (const ch of line) {
+      const n = new TextEncoder().encode(ch).length;
+      if (bytes + n > 75) {
+        out.push(cur);
+        cur = ' ';
+        bytes = 1;
+      }
+      cur += ch;
+      bytes += n;
+    }
+    out.push(cur);
+    return out.join('\r\n');
+  }
+
+  // A real instant → wall-clock time in timeZone, as a local Date with those fields
+  function utcToZoneTime(instant, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+    }).formatToParts(instant);
+    const get = type => Number(parts.find(p => p.type === type).value);
+    return new Date(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+  }
+
+  // Wall-clock time in timeZone (the festival's by default) → the real instant
+  function zoneTimeToUtc(local, timeZone = festival.timezone) {
+    const guess = Date.UTC(local.getFullYear(), local.getMonth(), local.getDate(), local.getHours(), local.getMinutes());
+    const z = utcToZoneTime(new Date(guess), timeZone);
+    const asZone = Date.UTC(z.getFullYear(), z.getMonth(), z.getDate(), z.getHours(), z.getMinutes());
+    return new Date(guess - (asZone - guess));
+  }
+
+  function icsDateTime(local) {
+    const pad = n => String(n).padStart(2, '0');
+    if (festival.timezone) {
+      try {
+        const d = zoneTimeToUtc(local);
+        return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}00Z`;
+      } catch { /* unknown timezone: fall back to floating time */ }
+    }
+    return `${local.getFullYear()}${pad(local.getMonth() + 1)}${pad(local.getDate())}T${pad(local.getHours())}${pad(local.getMinutes())}00`;
+  }
+
+  // Day, artist and venue, so a re-export updates the same calendar events
+  // when set times move. shared = ids more than one loaded show has (two sets
+  // at the same venue that day); those get their start time too.
+  function icsUid(show, shared = new Set()) {
+    const slug = s => normName(s).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const id = `${show.day}-${slug(canonArtist(show.artist_name))}-${slug(canonVenue(show.venue))}`;
+    const time = shared.has(id) && show.start_time ? '-' + show.start_time.replace(':', '') : '';
+    return `${id}${time}@${festival.id}.festwiz`;
+  }
+
+  function showToVevent(show, stamp, shared) {
+    const level = FestWizRatingScale.level(ratingScale, getRating(show));
+    const picks = showPickLists(show);
+    const description = [
+      show.showcase && `Showcase: ${show.showcase}`,
+      `Admission: ${ADMISSION_LABELS[getAdmission(show)]}`,
+      level ? `Rating: ${level.value} – ${level.label}` : picks.length && `On: ${picks.map(l => l.name).join(', ')}`,
+      getTags(show).length && `Tags: ${getTags(show).join(', ')}`,
+    ].filter(Boolean).join('\n');
+
+    const lines = ['BEGIN:VEVENT', `UID:${icsUid(show, shared)}`, `DTSTAMP:${stamp}`];
+    const start = !show.no_set_time && parseShowTime(show.day, show.start_time);
+    if (start) {
+      lines.push(`DTSTART:${icsDateTime(start)}`);
+      const end = parseShowTime(show.day, show.end_time);
+      if (end && end > start) lines.push(`DTEND:${icsDateTime(end)}`);
+    } else {
+      // No set time: an all-day entry on the festival day
+      const next = new Date(show.day + 'T00:00:00');
+      next.setDate(next.getDate() + 1);
+      const pad = n => String(n).padStart(2, '0');
+      lines.push(`DTSTART;VALUE=DATE:${show.day.replace(/-/g, '')}`);
+      lines.push(`DTEND;VALUE=DATE:${next.getFullYear()}${pad(next.getMonth() + 1)}${pad(next.getDate())}`);
+    }
+    lines.push(
+      `SUMMARY:${icsEscape(show.artist_name)}`,
+      `LOCATION:${icsEscape(venueAliases[show.venue] || show.venue)}`,
+      `URL:${venueMapUrl(show.venue)}`,
+      `DESCRIPTION:${icsEscape(description)}`,
+      'END:VEVENT',
+    );
+    return lines;
+  }
+
+  // day = "YYYY-MM-DD" for one day's plan, null for every day
+  function exportPlanIcs(day) {
+    const shows = day ? agendaShows(day) : allDays().flatMap(d => agendaShows(d));
+    if (!shows.length) {
+      alert('Nothing on your plan to export — turn on a rating level or Picks above.');
+      return;
+    }
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const seen = new Set();
+    const shared = new Set();
+    for (const s of allShows) {
+      const id = icsUid(s).split('@')[0];
+      if (seen.has(id)) shared.add(id);
+      seen.add(id);
+    }
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//FestWiz//Plan//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${icsEscape(`${festival.name || 'FestWiz'} plan`)}`,
+      ...shows.flatMap(show => showToVevent(show, stamp, shared)),
+      'END:VCALENDAR',
+    ];
+    const blob = new Blob([lines.map(icsFold).join('\r\n') + '\r\n'], { type: 'text/calendar' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = day ? `festwiz_plan_${day}.ics` : 'festwiz_plan.ics';
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
   // ── Grid venue ordering ─────────────────────────────────────────────────────
   // Resolve a raw venue name to its canonical (alias target) name.
   // e.g. "Hotel Vegas at Volstead" → "Volstead"
@@ -1050,12 +1751,12 @@
       for (const v of cluster) venueToClusterKey[canonVenue(v)] = key;
     }
 
-    // Score per venue: rated shows use their rating (1–4),
-    // unrated FestWiz Picks use 0.5 (above plain unrated 0)
+    // Score per venue: rated shows use their rating (1–max of the scale),
+    // unrated picks use 0.5 (above plain unrated 0)
     const venueScore = {};
     for (const show of dayShows) {
       const r = getRating(show);
-      const score = r > 0 ? r : (hidePicks !== 'hide' && isRecommended(show)) ? 0.5 : 0;
+      const score = r > 0 ? r : isRecommended(show) ? 0.5 : 0;
       const cv = canonVenue(show.venue);
       if (score > (venueScore[cv] || 0)) venueScore[cv] = score;
     }
@@ -1109,12 +1810,12 @@
     zoomIn.disabled = gridZoom >= 1;
     zoomOut.addEventListener('click', () => {
       gridZoom = gridZoom >= 1 ? 0.75 : 0.6;
-      localStorage.setItem('sxsw2026_grid_zoom', gridZoom);
+      localStorage.setItem(nsKey('grid_zoom'), gridZoom);
       renderCurrentView();
     });
     zoomIn.addEventListener('click', () => {
       gridZoom = gridZoom <= 0.6 ? 0.75 : 1;
-      localStorage.setItem('sxsw2026_grid_zoom', gridZoom);
+      localStorage.setItem(nsKey('grid_zoom'), gridZoom);
       renderCurrentView();
     });
     // Search input — syncs with drawer sched-search, re-focuses after re-render
@@ -1140,6 +1841,7 @@
     gridSearchInput.addEventListener('input', () => {
       searchFilter = gridSearchInput.value.trim();
       syncDrawerSearch(gridSearchInput.value);
+      followSearchDay();
       renderCurrentView();
       const newInput = document.getElementById('grid-search-input');
       if (newInput) newInput.focus();
@@ -1525,12 +2227,10 @@
     }
 
     function cellBg(show) {
-      const r = getRating(show);
-      if (r === 4) return '#c6efce';
-      if (r === 3) return '#dae8fc';
-      if (r === 2) return '#ffeb9c';
-      if (r === 1) return '#e1d0f5';
-      if (r === 0 && hidePicks !== 'hide' && isRecommended(show)) return '#d9f5f9';
+      const level = FestWizRatingScale.level(ratingScale, getRating(show));
+      if (level) return level.pastel;
+      const list = showPickLists(show)[0];
+      if (list) return list.color ? FestWizPickLists.colors(list).pastel : '#d9f5f9';
       return '#ffffff';
     }
 
@@ -1612,9 +2312,14 @@
   function createGridPill(show) {
     const rating = getRating(show);
     const admission = getAdmission(show);
-    const isPick = rating === 0 && hidePicks !== 'hide' && isRecommended(show);
+    const isPick = rating === 0 && isRecommended(show);
+    const showTags = getTags(show);
     const pill = document.createElement('div');
-    pill.className = `grid-show-pill${rating ? ` grid-show-pill--rated-${rating}` : isPick ? ' grid-show-pill--fw-pick' : ''}`;
+    pill.className = `grid-show-pill${rating ? ` grid-show-pill--rated-${rating}` : isPick ? ' grid-show-pill--fw-pick' : ''}${showTags.length ? ' grid-show-pill--tagged' : ''}`;
+    if (isPick) {
+      pill.style.setProperty('--pick-color', pickColor(show));
+      pill.title = '★ ' + showPickLists(show).map(l => l.name).join(', ');
+    }
     const timeStr = formatPillTime(show);
     const admFontSize = gridZoom === 0.75 ? ' style="font-size:7px"' : gridZoom === 0.6 ? ' style="font-size:6px"' : '';
     const admissionSpan = !show.showcase
@@ -1624,7 +2329,8 @@
       ? `<div class="grid-show-meta">${timeStr ? `<span class="grid-show-time">${escHtml(timeStr)}</span>` : ''}${admissionSpan}</div>`
       : '';
     pill.innerHTML = `
-      <div class="grid-show-name">${escHtml(show.artist_name)}</div>
+      <div class="grid-show-name">${highlightSearch(show.artist_name)}</div>
+      ${showTags.length ? `<div class="grid-show-tags" title="${escAttr(showTags.join(', '))}">${escHtml(showTags.join(' · '))}</div>` : ''}
       ${metaHtml}
     `;
     pill.addEventListener('click', () => openDetail(show));
@@ -1727,6 +2433,18 @@
         <div class="manage-btn-title">Import CSV from Google Sheet</div>
         <div class="manage-btn-desc">Export a day tab as CSV and import it here. Existing shows are preserved.</div>
       </button>
+      <button class="manage-btn" id="manage-btn-import-rows">
+        <div class="manage-btn-title">Import Rows (CSV / TSV)</div>
+        <div class="manage-btn-desc">One show per row — a spreadsheet export or cells pasted from the clipboard. You pick which column is which.</div>
+      </button>
+      <button class="manage-btn" id="manage-btn-import-flyer">
+        <div class="manage-btn-title">Paste Lineup Text</div>
+        <div class="manage-btn-desc">Copy a flyer's caption (e.g. "3/14 @ Cheer Up Charlies — 9:30 Band A, 10:15 Band B") and check the draft shows before adding them.</div>
+      </button>
+      <button class="manage-btn" id="manage-btn-import-ics">
+        <div class="manage-btn-title">Import .ics Calendar</div>
+        <div class="manage-btn-desc">A calendar file from a showcase organizer. Multi-artist events become one show per artist.</div>
+      </button>
       <button class="manage-btn" id="manage-btn-add">
         <div class="manage-btn-title">+ Add a Single Show</div>
         <div class="manage-btn-desc">Manually enter a show — useful for last-minute additions.</div>
@@ -1750,8 +2468,10 @@
             <div class="manage-show-name">${escHtml(show.artist_name)}</div>
             <div class="manage-show-meta">${escHtml(formatTime12(show.start_time))} · ${escHtml(show.venue)}${show.source === 'user' ? ' · user-submitted' : ''}</div>
           </div>
+          ${show.source === 'user' ? '<button class="manage-show-edit" title="Edit show">✎</button>' : ''}
           <button class="manage-show-delete" title="Remove show">×</button>
         `;
+        if (show.source === 'user') row.querySelector('.manage-show-edit').addEventListener('click', () => openAddShowModal(show));
         row.querySelector('.manage-show-delete').addEventListener('click', () => deleteShow(show));
         list.appendChild(row);
       }
@@ -1767,54 +2487,340 @@
 
     el.appendChild(section);
 
+    const health = document.createElement('div');
+    health.className = 'manage-section';
+    health.innerHTML = '<h3>Data Health</h3><div class="health-note">Checking data…</div>';
+    el.appendChild(health);
+    renderDataHealth(health);
+
     document.getElementById('manage-btn-import').addEventListener('click', openImportModal);
-    document.getElementById('manage-btn-add').addEventListener('click', openAddShowModal);
+    document.getElementById('manage-btn-import-rows').addEventListener('click', openRowImportModal);
+    document.getElementById('manage-btn-import-flyer').addEventListener('click', openFlyerImportModal);
+    document.getElementById('manage-btn-import-ics').addEventListener('click', openIcsImportModal);
+    document.getElementById('manage-btn-add').addEventListener('click', () => openAddShowModal());
   }
 
-  // ── Map view ────────────────────────────────────────────────────────────────
+  // ── Data health ────────────────────────────────────────────────────────────
+  // Diagnostics under Manage for problems that otherwise fail silently: venues
+  // the map drops, impossible set times, unmatched artist names, duplicates
+  // that slipped past normName, and venue spellings that should be aliases.
+  // Fixes the user makes (aliases, coordinates) are stored locally and layered
+  // over venues.json / venue_coords.json.
 
-  let mapInstance = null;       // L.map singleton
-  let mapMarkers  = [];         // current marker layer
-  let venueCoords = null;       // loaded once from venue_coords.json
+  const HEALTH_LIST_LIMIT = 50;
+  let knownArtistNames = null;  // normForMatch(name) → display name, all artist records
 
-  // Returns { lat, lng } for a venue name, checking clusters for fallback
-  function coordsForVenue(name, coords) {
-    if (coords[name]) return coords[name];
-    // Check clusters: if a sub-venue (e.g. "Mohawk Indoor") isn't found,
-    // look for any cluster sibling that does have coords
-    const clusterDefs = venueOrder.clusters || [];
-    for (const cluster of clusterDefs) {
-      if (cluster.includes(name)) {
-        for (const sibling of cluster) {
-          if (coords[sibling]) return coords[sibling];
-        }
-      }
-    }
-    return null;
+  function loadUserVenueAliases() {
+    try { return JSON.parse(localStorage.getItem(nsKey('venue_aliases')) || '{}'); } catch { return {}; }
   }
 
-  // Best rating across a venue's shows: 4>3>2>pick>1>0
-  function venueBestScore(shows) {
-    let best = 0;
-    for (const s of shows) {
-      const r = getRating(s);
-      if (r === 4) return 4;
-      if (r > best) best = r;
-      if (best < 0.5 && r === 0 && hidePicks !== 'hide' && isRecommended(s)) best = 0.5;
-    }
-    return best;
+  function loadUserVenueCoords() {
+    try { return JSON.parse(localStorage.getItem(nsKey('venue_coords')) || '{}'); } catch { return {}; }
   }
 
-  function markerColor(score) {
-    if (score === 4)   return '#1a7a4a'; // green   — Hell yeah
-    if (score === 3)   return '#2563eb'; // blue    — Psyched
-    if (score === 2)   return '#d97706'; // amber   — Sure
-    if (score === 0.5) return '#e07b20'; // orange  — FW Pick unrated
-    if (score === 1)   return '#6b7280'; // gray    — Nope
-    return '#6b7280';                    // gray    — unrated
+  function addVenueAlias(variant, target) {
+    const aliases = loadUserVenueAliases();
+    aliases[variant] = canonVenue(target);
+    localStorage.setItem(nsKey('venue_aliases'), JSON.stringify(aliases));
+    venueAliases[variant] = aliases[variant];
   }
 
-  function makeMarkerIcon(color, count) {
+  // Artist aliases live in the Rate page's state (artistAliases, variant →
+  // canonical name), which both pages read
+  function addArtistAlias(variant, canonical) {
+    try {
+      const state = JSON.parse(localStorage.getItem(nsKey('state')) || '{}');
+      state.artistAliases = { ...(state.artistAliases || {}), [variant]: canonical };
+      localStorage.setItem(nsKey('state'), JSON.stringify(state));
+    } catch (e) {
+      return; // unreadable state: don't overwrite the user's ratings
+    }
+    addArtistAliases({ [variant]: canonical });
+  }
+
+  function setVenueCoords(venue, pos) {
+    const coords = loadUserVenueCoords();
+    coords[venue] = pos;
+    localStorage.setItem(nsKey('venue_coords'), JSON.stringify(coords));
+    if (venueCoords) venueCoords[venue] = pos;
+  }
+
+  // "30.2672, -97.7431" or a maps URL containing "@30.26,-97.74" / "q=30.26,-97.74"
+  function parseLatLng(str) {
+    const m = (str || '').match(/(-?\d{1,3}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)/);
+    if (!m) return null;
+    const lat = parseFloat(m[1]), lng = parseFloat(m[2]);
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { lat, lng };
+  }
+
+  // Patch a user-submitted show in place and in localStorage
+  function updateUserShow(show, patch) {
+    const userShows = loadUserShows();
+    const stored = userShows.find(s => (show.id && s.id === show.id) || (
+      s.artist_name === show.artist_name && s.venue === show.venue &&
+      s.day === show.day && s.start_time === show.start_time
+    ));
+    if (stored) Object.assign(stored, patch);
+    Object.assign(show, patch);
+    saveUserShows(userShows);
+  }
+
+  async function loadKnownArtistNames() {
+    if (knownArtistNames) return knownArtistNames;
+    const names = new Map();
+    const add = n => { if (n && !names.has(normForMatch(n))) names.set(normForMatch(n), n); };
+    try {
+      const [artistsRes, unofficialRes] = await Promise.all([
+        fetch(festival.data.artists),
+        fetch(festival.data.unofficial_artists),
+      ]);
+      if (artistsRes.ok) (await artistsRes.json()).forEach(a => add(a.name));
+      if (unofficialRes.ok) (await unofficialRes.json()).forEach(a => add(a.name));
+    } catch (e) { /* offline — check against what's loaded */ }
+    try {
+      const state = JSON.parse(localStorage.getItem(nsKey('state')) || '{}');
+      (state.userArtists || []).forEach(a => add(a.name));
+    } catch (e) { /* ignore */ }
+    knownArtistNames = names;
+    return names;
+  }
+
+  // Venue spelling key: case, punctuation and a leading "The" don't count
+  function venueSpellingKey(v) {
+    return v.toLowerCase().replace(/^the\s+/, '').replace(/[^a-z0-9]/g, '');
+  }
+
+  function venueSpellingsMatch(a, b) {
+    const ka = venueSpellingKey(a), kb = venueSpellingKey(b);
+    return ka === kb || (ka.length >= 8 && FestWizSearch.editDistance(ka, kb, 1) <= 1);
+  }
+
+  function findDataIssues(coords, artistNames) {
+    const venueCounts = new Map();
+    for (const s of allShows) venueCounts.set(s.venue, (venueCounts.get(s.venue) || 0) + 1);
+    const venues = [...venueCounts.keys()].filter(Boolean).sort();
+
+    // Venue names that differ only in spelling/a typo and aren't aliased
+    // together. Show venues are also compared with alias targets and map
+    // entries, which are the preferred spelling when they match.
+    const knownNames = [...new Set([...venues, ...Object.values(venueAliases), ...Object.keys(coords)])];
+    const preferred = v => (coords[v] || Object.values(venueAliases).includes(v) ? 1000000 : 0) + (venueCounts.get(v) || 0);
+    const variants = [];
+    const grouped = new Set();
+    for (const v of venues) {
+      if (grouped.has(v)) continue;
+      const group = [v, ...knownNames.filter(n =>
+        n !== v && !grouped.has(n) && canonVenue(n) !== canonVenue(v) && venueSpellingsMatch(v, n)
+      )];
+      if (group.length > 1) {
+        group.forEach(n => grouped.add(n));
+        group.sort((a, b) => preferred(b) - preferred(a));
+        variants.push(group);
+      }
+    }
+
+    const missingCoords = venues
+      .filter(v => !coordsForVenue(v, coords))
+      .map(v => ({
+        venue: v,
+        count: venueCounts.get(v),
+        twin: Object.keys(coords).find(c => venueSpellingsMatch(v, c)),
+      }));
+
+    // End before start on the festival day (which runs past midnight), and not
+    // just a morning show that straddles DAY_START_HOUR (8–9 AM)
+    const badTimes = allShows.filter(s => {
+      if (!s.start_time || !s.end_time) return false;
+      if (minutesFromDayStart(s.end_time) >= minutesFromDayStart(s.start_time)) return false;
+      const [sh, sm] = s.start_time.split(':').map(Number);
+      const [eh, em] = s.end_time.split(':').map(Number);
+      return ((eh * 60 + em) - (sh * 60 + sm) + 1440) % 1440 > 12 * 60;
+    });
+
+    const unmatchedCounts = new Map();
+    for (const s of allShows) {
+      if (s.source === 'official' || artistNames.has(normForMatch(canonArtist(s.artist_name)))) continue;
+      unmatchedCounts.set(s.artist_name, (unmatchedCounts.get(s.artist_name) || 0) + 1);
+    }
+    const byNormName = new Map();
+    for (const name of artistNames.values()) byNormName.set(normName(name), name);
+    const unmatched = [...unmatchedCounts].sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([name, count]) => ({ name, count, close: byNormName.get(normName(name)) }));
+
+    // Same artist, same day, same venue (after aliases/spelling), starts within 30 min
+    const duplicates = [];
+    const byArtistDay = new Map();
+    for (const s of allShows) {
+      const key = `${normName(s.artist_name)}|${s.day}`;
+      if (!byArtistDay.has(key)) byArtistDay.set(key, []);
+      byArtistDay.get(key).push(s);
+    }
+    for (const group of byArtistDay.values()) {
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) {
+          const a = group[i], b = group[j];
+          if (venueSpellingKey(canonVenue(a.venue)) !== venueSpellingKey(canonVenue(b.venue))) continue;
+          if (!a.start_time || !b.start_time) continue;
+          if (Math.abs(minutesFromDayStart(a.start_time) - minutesFromDayStart(b.start_time)) > 30) continue;
+          duplicates.push([a, b]);
+        }
+      }
+    }
+
+    return { missingCoords, badTimes, unmatched, duplicates, variants };
+  }
+
+  function healthShowLabel(s) {
+    const time = s.start_time ? formatTime12(s.start_time) : 'no time';
+    const end = s.end_time ? `–${formatTime12(s.end_time)}` : '';
+    return `${formatDayLabel(s.day)} ${time}${end} · ${s.venue}${s.source === 'user' ? ' · user-submitted' : ''}`;
+  }
+
+  async function renderDataHealth(container) {
+    let coords = {};
+    try { coords = await ensureVenueCoords(); } catch (e) { /* report every venue as missing below */ }
+    const artistNames = await loadKnownArtistNames();
+    if (!container.isConnected) return; // view changed while loading
+
+    const issues = findDataIssues(coords, artistNames);
+    const total = issues.missingCoords.length + issues.badTimes.length + issues.unmatched.length +
+      issues.duplicates.length + issues.variants.length;
+    container.innerHTML = `<h3>Data Health</h3>
+      <div class="health-note">${total ? `${total} issue${total === 1 ? '' : 's'} found across all days.` : 'No problems found.'}</div>`;
+
+    const rerender = () => renderCurrentView();
+
+    function group(title, desc, items, renderItem) {
+      if (!items.length) return;
+      const wrap = document.createElement('div');
+      wrap.className = 'health-group';
+      wrap.innerHTML = `<div class="health-group__title">${escHtml(title)} (${items.length})</div>
+        <div class="health-group__desc">${escHtml(desc)}</div>`;
+      for (const item of items.slice(0, HEALTH_LIST_LIMIT)) wrap.appendChild(renderItem(item));
+      if (items.length > HEALTH_LIST_LIMIT) {
+        const more = document.createElement('div');
+        more.className = 'health-note';
+        more.textContent = `…and ${items.length - HEALTH_LIST_LIMIT} more`;
+        wrap.appendChild(more);
+      }
+      container.appendChild(wrap);
+    }
+
+    function row(name, meta, fixes) {
+      const el = document.createElement('div');
+      el.className = 'manage-show-row health-row';
+      el.innerHTML = `<div class="manage-show-info">
+          <div class="manage-show-name">${escHtml(name)}</div>
+          <div class="manage-show-meta">${meta}</div>
+        </div>
+        <div class="health-fixes"></div>`;
+      const fixWrap = el.querySelector('.health-fixes');
+      for (const [label, action] of fixes) {
+        const btn = document.createElement(typeof action === 'string' ? 'a' : 'button');
+        btn.className = 'health-fix';
+        btn.textContent = label;
+        if (typeof action === 'string') {
+          btn.href = action;
+          btn.target = '_blank';
+          btn.rel = 'noopener';
+        } else {
+          btn.addEventListener('click', action);
+        }
+        fixWrap.appendChild(btn);
+      }
+      return el;
+    }
+
+    group('Venues missing from the map', 'No entry in venue_coords.json, so the Map view leaves these out.',
+      issues.missingCoords, ({ venue, count, twin }) => {
+        const fixes = [];
+        if (twin) fixes.push([`Use “${twin}”`, () => { setVenueCoords(venue, coords[twin]); rerender(); }]);
+        fixes.push(['Set location…', () => {
+          const pos = parseLatLng(prompt(`Latitude, longitude for ${venue} (or paste a Google Maps link):`));
+          if (!pos) return;
+          setVenueCoords(venue, pos);
+          rerender();
+        }]);
+        fixes.push(['Find', venueMapUrl(venue)]);
+        return row(venue, `${count} show${count === 1 ? '' : 's'}`, fixes);
+      });
+
+    group('Ends before it starts', 'end_time is earlier than start_time, and not a set that runs past midnight.',
+      issues.badTimes, show => row(show.artist_name, escHtml(healthShowLabel(show)),
+        show.source === 'user'
+          ? [['Clear end time', () => { updateUserShow(show, { end_time: '' }); rerender(); }]]
+          : [['Open', () => openDetail(show)]]));
+
+    group('Unmatched artist names', 'Unofficial/user shows whose artist has no artist record, so ratings and genres won’t attach.',
+      issues.unmatched, ({ name, count, close }) => row(name,
+        `${count} show${count === 1 ? '' : 's'}${close ? ` · close match: ${escHtml(close)}` : ''}`,
+        [
+          ...(close ? [[`Alias to “${close}”`, () => { addArtistAlias(name, close); rerender(); }]] : []),
+          ['Look up', `/?search=${encodeURIComponent(close || name)}`],
+        ]));
+
+    group('Possible duplicates', 'Same artist, day and venue within 30 minutes.',
+      issues.duplicates, ([a, b]) => {
+        const user = a.source === 'user' ? a : b.source === 'user' ? b : null;
+        const fixes = [['Open', () => openDetail(a)]];
+        if (user) fixes.unshift(['Remove user copy', () => deleteShow(user)]);
+        return row(a.artist_name, `${escHtml(healthShowLabel(a))}<br>${escHtml(healthShowLabel(b))}`, fixes);
+      });
+
+    group('Venue spelling variants', 'Names that look like the same venue but aren’t aliased, so they get separate grid columns.',
+      issues.variants, ([main, ...others]) => row(main,
+        others.map(v => `also “${escHtml(v)}”`).join(' · '),
+        others.map(v => [`Alias “${v}”`, () => { addVenueAlias(v, main); rerender(); }])));
+  }
+
+  // ── Map view ────────────────────────────────────────────────────────────────
+
+  let mapInstance = null;       // L.map singleton
+  let mapMarkers  = [];         // current marker layer
+  let venueCoords = null;       // loaded once from venue_coords.json
+
+  // Returns { lat, lng } for a venue name, checking clusters for fallback
+  function coordsForVenue(name, coords) {
+    if (coords[name]) return coords[name];
+    if (venueAliases[name] && coords[venueAliases[name]]) return coords[venueAliases[name]];
+    // Check clusters: if a sub-venue (e.g. "Mohawk Indoor") isn't found,
+    // look for any cluster sibling that does have coords
+    const clusterDefs = venueOrder.clusters || [];
+    for (const cluster of clusterDefs) {
+      if (cluster.includes(name)) {
+        for (const sibling of cluster) {
+          if (coords[sibling]) return coords[sibling];
+        }
+      }
+    }
+    return null;
+  }
+
+  // Best rating across a venue's shows: top level > … > 2 > pick > 1 > 0
+  function venueBestScore(shows) {
+    let best = 0;
+    for (const s of shows) {
+      const r = getRating(s);
+      if (r === ratingScale.max) return r;
+      if (r > best) best = r;
+      if (best < 0.5 && r === 0 && isRecommended(s)) best = 0.5;
+    }
+    return best;
+  }
+
+  // Level colors come from the rating scale (classic: gray Nope, amber Sure,
+  // blue Psyched, green Hell yeah)
+  function markerColor(score, shows) {
+    if (score === 0.5) { // unrated pick — its list's color (orange for FestWiz Picks)
+      const pick = shows.find(s => getRating(s) === 0 && isRecommended(s));
+      return FestWizPickLists.colors(showPickLists(pick)[0]).marker;
+    }
+    const level = FestWizRatingScale.level(ratingScale, score);
+    return level ? level.marker : '#6b7280'; // gray — unrated
+  }
+
+  function makeMarkerIcon(color, count) {
     const size = count > 1 ? 34 : 28;
     const cx = size / 2;
     const countLabel = count > 1
@@ -1847,12 +2853,13 @@
     const displayName = venueAliases[venueName] || venueName;
 
     // Pill background colors per rating / pick status
-    function pillStyle(r, isPick) {
-      if (r === 4)    return 'background:#c6efce;color:#1a5c35';
-      if (r === 3)    return 'background:#dae8fc;color:#1a3a6b';
-      if (r === 2)    return 'background:#ffeb9c;color:#7a5800';
-      if (r === 1)    return 'background:#e1d0f5;color:#4a2d7a';
-      if (isPick)     return 'background:#fce5cd;color:#7a3800';
+    function pillStyle(r, pickList) {
+      const level = FestWizRatingScale.level(ratingScale, r);
+      if (level)      return `background:${level.pastel};color:${level.pastelText}`;
+      if (pickList) {
+        const c = FestWizPickLists.colors(pickList);
+        return `background:${c.pastel};color:${c.pastelText}`;
+      }
       return null;
     }
 
@@ -1865,10 +2872,10 @@
 
     for (const show of sorted) {
       const r = getRating(show);
-      const isPick = r === 0 && hidePicks !== 'hide' && isRecommended(show);
-      const ratingClass = r === 4 ? 'map-show--r4' : r === 3 ? 'map-show--r3' : r === 2 ? 'map-show--r2' : r === 1 ? 'map-show--r1' : isPick ? 'map-show--pick' : '';
+      const isPick = r === 0 && isRecommended(show);
+      const ratingClass = r ? `map-show--r${r}` : isPick ? 'map-show--pick' : '';
       const timeStr = show.no_set_time ? '' : (show.start_time ? formatTime12(show.start_time) : '');
-      const ps = pillStyle(r, isPick);
+      const ps = pillStyle(r, isPick && showPickLists(show)[0]);
       const nameHtml = ps
         ? `<span class="map-show-pill" style="${ps}">${escHtml(show.artist_name)}</span>`
         : escHtml(show.artist_name);
@@ -1894,17 +2901,21 @@
     });
   }
 
+  // Load venue coords once, with the user's own fixes (Data health) on top
+  async function ensureVenueCoords() {
+    if (venueCoords) return venueCoords;
+    const resp = await fetch(festival.data.venue_coords);
+    venueCoords = { ...(await resp.json()), ...loadUserVenueCoords() };
+    return venueCoords;
+  }
+
   async function renderMap() {
-    // Load venue coords once
-    if (!venueCoords) {
-      try {
-        const resp = await fetch('venue_coords.json');
-        venueCoords = await resp.json();
-      } catch (e) {
-        document.getElementById('view-map').innerHTML =
-          '<p class="map-error">Could not load venue coordinates. Check your connection.</p>';
-        return;
-      }
+    try {
+      await ensureVenueCoords();
+    } catch (e) {
+      document.getElementById('view-map').innerHTML =
+        '<p class="map-error">Could not load venue coordinates. Check your connection.</p>';
+      return;
     }
 
     const shows = todayShows();
@@ -1919,8 +2930,9 @@
 
     // Initialize map once; re-use the same instance on subsequent renders
     if (!mapInstance) {
+      const center = festival.map_center;
       mapInstance = L.map('map-container', { zoomControl: true })
-        .setView([30.2672, -97.7431], 14);
+        .setView([center.lat, center.lng], center.zoom || 14);
       L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
         attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>',
         maxZoom: 19,
@@ -1930,7 +2942,7 @@
       if (navigator.geolocation) {
         navigator.geolocation.getCurrentPosition(
           pos => mapInstance && mapInstance.setView([pos.coords.latitude, pos.coords.longitude], 15),
-          () => {} // permission denied or unavailable — stay on Austin default
+          () => {} // permission denied or unavailable — stay on the festival's map center
         );
       }
     }
@@ -1945,7 +2957,7 @@
       if (!pos) continue;
 
       const score = venueBestScore(venueShows);
-      const color = markerColor(score);
+      const color = markerColor(score, venueShows);
       const icon  = makeMarkerIcon(color, venueShows.length);
 
       const marker = L.marker([pos.lat, pos.lng], { icon, title: venueAliases[venue] || venue })
@@ -1968,15 +2980,16 @@
     const searchParam = encodeURIComponent(show.artist_name);
     document.getElementById('detail-artist').innerHTML =
       `${escHtml(show.artist_name)} <a href="/?search=${searchParam}" class="detail-artist-edit-link">(edit in artists)</a>`;
-    if (hidePicks !== 'hide' && isRecommended(show)) {
+    for (const list of showPickLists(show)) {
       const pick = document.createElement('span');
       pick.className = 'artist-detail-badge--fw-pick';
-      pick.textContent = '★ FestWiz Pick';
+      pick.style.setProperty('--pick-color', FestWizPickLists.colors(list).css);
+      pick.textContent = `★ ${list.name}`;
       document.getElementById('detail-artist').appendChild(pick);
     }
 
     // Genre / subgenre from artist metadata
-    const meta = artistMetaMap[show.artist_name.toLowerCase()];
+    const meta = artistMeta(show);
     const genreEl = document.getElementById('detail-genre');
     if (meta) {
       const parts = [meta.displayGenre, meta.displaySubgenre].filter(Boolean);
@@ -2001,7 +3014,7 @@
       const clear = document.getElementById('sched-search-clear');
       if (clear) clear.classList.add('visible');
       selectedView = 'grid';
-      localStorage.setItem('sxsw2026_last_view', 'grid');
+      localStorage.setItem(nsKey('last_view'), 'grid');
       document.querySelectorAll('.view-btn').forEach(b =>
         b.classList.toggle('active', b.dataset.view === 'grid')
       );
@@ -2011,9 +3024,9 @@
 
     // Rating display (read-only — change ratings on the Artist page)
     const ratingEl = document.getElementById('detail-rating');
-    const labels = ['', 'Nope', 'Sure', 'Psyched', 'Hell yeah'];
-    if (rating > 0) {
-      ratingEl.innerHTML = `<span class="detail-rating-label">Rating:</span> <span class="detail-rating-btn active-${rating}">${rating} ${labels[rating]}</span>`;
+    const level = FestWizRatingScale.level(ratingScale, rating);
+    if (level) {
+      ratingEl.innerHTML = `<span class="detail-rating-label">Rating:</span> <span class="detail-rating-btn active-${rating}">${rating} ${escHtml(level.label)}</span>`;
     } else {
       const searchParam = encodeURIComponent(show.artist_name);
       ratingEl.innerHTML = `<span class="detail-rating-label">Rating:</span> <span style="color:var(--text-muted);font-size:13px;">Unrated — <a href="/?search=${searchParam}" class="detail-artist-link">go to Artist page</a> to rate</span>`;
@@ -2022,9 +3035,9 @@
     // Link to SxSW page (official) or artist website (unofficial)
     const linkEl = document.getElementById('detail-link');
     linkEl.innerHTML = '';
-    if (show.source === 'official' && show.entity_id) {
+    if (show.source === 'official' && officialArtistUrl(show.entity_id)) {
       const a = document.createElement('a');
-      a.href = `https://schedule.sxsw.com/2026/artists/${show.entity_id}`;
+      a.href = officialArtistUrl(show.entity_id);
       a.target = '_blank';
       a.rel = 'noopener noreferrer';
       a.className = 'btn btn--outline detail-link-btn';
@@ -2043,7 +3056,7 @@
     // Other upcoming shows for the same artist
     const otherEl = document.getElementById('detail-other-shows');
     otherEl.innerHTML = '';
-    const now = new Date();
+    const now = festivalNow();
     const otherShows = allShows
       .filter(s => {
         if (s === show) return false;
@@ -2080,7 +3093,7 @@
           const clear = document.getElementById('sched-search-clear');
           if (clear) clear.classList.add('visible');
           selectedView = 'grid';
-          localStorage.setItem('sxsw2026_last_view', 'grid');
+          localStorage.setItem(nsKey('last_view'), 'grid');
           document.querySelectorAll('.view-btn').forEach(b =>
             b.classList.toggle('active', b.dataset.view === 'grid')
           );
@@ -2090,48 +3103,77 @@
       });
     }
 
-    // Only show delete button for unofficial shows
+    // Only show edit and delete buttons for unofficial shows
     const deleteBtn = document.getElementById('btn-delete-show');
     deleteBtn.style.display = show.source === 'user' ? '' : 'none';
+    document.getElementById('btn-edit-show').style.display = show.source === 'user' ? '' : 'none';
 
     document.getElementById('modal-show-detail').classList.add('visible');
   }
 
+  // Removes this show object only, so an official show that a user copy
+  // duplicates stays put
   function deleteShow(show) {
-    allShows = allShows.filter(s =>
-      !(s.artist_name === show.artist_name && s.venue === show.venue &&
-        s.day === show.day && s.start_time === show.start_time)
-    );
+    allShows = allShows.filter(s => s !== show);
     // Filter from localStorage user shows
-    const updated = loadUserShows().filter(s =>
-      !(s.artist_name === show.artist_name && s.venue === show.venue &&
-        s.day === show.day && s.start_time === show.start_time)
-    );
-    saveUserShows(updated);
+    if (show.source === 'user') {
+      const updated = loadUserShows().filter(s => show.id ? s.id !== show.id : !(
+        s.artist_name === show.artist_name && s.venue === show.venue &&
+        s.day === show.day && s.start_time === show.start_time
+      ));
+      saveUserShows(updated);
+    }
     closeModal('modal-show-detail');
     renderCurrentView();
   }
 
   // ── Add Show modal ─────────────────────────────────────────────────────────
 
-  function openAddShowModal() {
-    document.getElementById('add-show-artist').value = '';
-    document.getElementById('add-show-venue').value = '';
-    document.getElementById('add-show-start').value = '';
-    document.getElementById('add-show-end').value = '';
-    document.getElementById('add-show-showcase').value = '';
-    document.getElementById('add-show-website').value = '';
-    document.getElementById('add-show-admission').value = 'free';
-    document.getElementById('add-show-no-set-time').checked = false;
-    document.getElementById('add-show-start-label').textContent = 'Start Time * (e.g. 9:30 PM or 21:30)';
+  // show = a user-submitted show to edit, prefilled; omitted to add a new one
+  function openAddShowModal(show = null) {
+    editingShow = show;
+    document.getElementById('add-show-title').textContent = show ? 'Edit Show' : 'Add Show';
+    document.getElementById('btn-save-add-show').textContent = show ? 'Save Changes' : 'Add Show';
+    document.getElementById('add-show-artist').value = show ? show.artist_name : '';
+    document.getElementById('add-show-venue').value = show ? show.venue : '';
+    document.getElementById('add-show-start').value = show ? formatTime12(show.start_time) : '';
+    document.getElementById('add-show-end').value = show && show.end_time ? formatTime12(show.end_time) : '';
+    document.getElementById('add-show-showcase').value = show ? show.showcase || '' : '';
+    document.getElementById('add-show-website').value = show ? show.website || '' : '';
+    document.getElementById('add-show-admission').value = show ? getAdmission(show) : 'free';
+    document.getElementById('add-show-no-set-time').checked = !!(show && show.no_set_time);
+    document.getElementById('add-show-start-label').textContent = show && show.no_set_time
+      ? 'Event Start Time * — used for grid placement (e.g. 6:00 PM)'
+      : 'Start Time * (e.g. 9:30 PM or 21:30)';
+    if (show) {
+      const daySel = document.getElementById('add-show-day');
+      // A show on a day with nothing else loaded still needs its own option
+      if (![...daySel.options].some(o => o.value === show.day)) {
+        const opt = document.createElement('option');
+        opt.value = show.day;
+        opt.textContent = formatDayLabel(show.day) + ` (${show.day})`;
+        opt.dataset.editOnly = 'true';
+        daySel.appendChild(opt);
+      }
+      daySel.value = show.day;
+    }
+    // Only user shows can be edited, and they stay user shows
+    document.getElementById('add-show-source').value = 'user';
+    document.getElementById('add-show-source-group').hidden = !!show;
     document.getElementById('modal-add-show').classList.add('visible');
     document.getElementById('add-show-artist').focus();
   }
 
+  // Closes the Add Show modal and drops any edit in progress, including the
+  // day option added for the show being edited
+  function closeAddShowModal() {
+    editingShow = null;
+    document.querySelectorAll('#add-show-day option[data-edit-only]').forEach(o => o.remove());
+    closeModal('modal-add-show');
+  }
+
   function setupAddShow() {
-    document.getElementById('btn-cancel-add-show').addEventListener('click', () =>
-      closeModal('modal-add-show')
-    );
+    document.getElementById('btn-cancel-add-show').addEventListener('click', closeAddShowModal);
 
     document.getElementById('btn-save-add-show').addEventListener('click', () => {
       const artist = document.getElementById('add-show-artist').value.trim();
@@ -2159,6 +3201,31 @@
 
       const noSetTime = document.getElementById('add-show-no-set-time').checked;
 
+      if (editingShow) {
+        const patch = {
+          artist_name: artist,
+          venue,
+          day,
+          start_time: startTime,
+          end_time: endTime,
+          no_set_time: noSetTime || false,
+          admission,
+          source: 'user',
+          showcase,
+          website: website || '',
+        };
+        const key = s => `${s.artist_name}|${s.venue}|${s.day}|${s.start_time}`;
+        if (allShows.some(s => s !== editingShow && key(s) === key(patch))) {
+          alert('Another show already has that artist, venue, day and start time.');
+          return;
+        }
+        editUserShow(editingShow, patch);
+        closeAddShowModal();
+        buildDayTabs();
+        renderCurrentView();
+        return;
+      }
+
       const show = {
         id: `manual_${Date.now()}`,
         artist_name: artist,
@@ -2176,7 +3243,7 @@
 
       allShows.push(show);
       appendUserShows([show]);
-      closeModal('modal-add-show');
+      closeAddShowModal();
       buildDayTabs();
       renderCurrentView();
     });
@@ -2188,10 +3255,23 @@
     });
 
     document.getElementById('modal-add-show').addEventListener('click', (e) => {
-      if (e.target === document.getElementById('modal-add-show')) closeModal('modal-add-show');
+      if (e.target === document.getElementById('modal-add-show')) closeAddShowModal();
     });
   }
 
+  // Saves an edit to a user show (same object, same id) and carries its
+  // Plan check-in over to the new checkinKey
+  function editUserShow(show, patch) {
+    const oldKey = checkinKey(show);
+    updateUserShow(show, patch);
+    const newKey = checkinKey(show);
+    if (newKey !== oldKey && checkins[oldKey]) {
+      checkins[newKey] = checkins[oldKey];
+      delete checkins[oldKey];
+      saveAgendaState();
+    }
+  }
+
   // ── CSV Import ─────────────────────────────────────────────────────────────
 
   function openImportModal() {
@@ -2236,23 +3316,60 @@
 
     document.getElementById('btn-confirm-import').addEventListener('click', () => {
       if (!pendingCsvShows.length) return;
-      // Merge: add only shows not already in allShows
-      const existingKeys = new Set(allShows.map(s =>
-        `${s.artist_name}|${s.venue}|${s.day}|${s.start_time}`
-      ));
-      const newShows = pendingCsvShows.filter(s =>
-        !existingKeys.has(`${s.artist_name}|${s.venue}|${s.day}|${s.start_time}`)
-      );
-      allShows.push(...newShows);
-      appendUserShows(newShows);
       closeModal('modal-import-csv');
-      buildDayTabs();
-      populateDaySelects();
-      renderCurrentView();
-      alert(`Added ${newShows.length} shows (${pendingCsvShows.length - newShows.length} duplicates skipped).`);
+      addImportedShows(pendingCsvShows);
     });
   }
 
+  // Merge: add only shows not already in allShows
+  function addImportedShows(shows) {
+    const existingKeys = new Set(allShows.map(s =>
+      `${s.artist_name}|${s.venue}|${s.day}|${s.start_time}`
+    ));
+    const newShows = shows.filter(s =>
+      !existingKeys.has(`${s.artist_name}|${s.venue}|${s.day}|${s.start_time}`)
+    );
+    allShows.push(...newShows);
+    appendUserShows(newShows);
+    buildDayTabs();
+    populateDaySelects();
+    renderCurrentView();
+    alert(`Added ${newShows.length} shows (${shows.length - newShows.length} duplicates skipped).`);
+  }
+
+  // CSV/TSV text → rows of cells. Quoted fields may hold the delimiter,
+  // doubled quotes ("") and line breaks.
+  function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (inQuotes) {
+        if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') inQuotes = false;
+        else cell += ch;
+      } else if (ch === '"' && cell.trim() === '') {
+        inQuotes = true;
+        cell = '';
+      } else if (ch === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell || row.length) { row.push(cell); rows.push(row); }
+    return rows;
+  }
+
   function parseScheduleCsv(csvText, day) {
     // Parse the Google Sheets "venue × time" format
     // Row 0: "Venue / Time", venue1, venue2, ...  (with > > / < < arrows)
@@ -2260,19 +3377,7 @@
     // Subsequent rows: time label in col 0 (e.g. "9:00 AM"), or empty for 2nd slot in hour
     //                  artist names (possibly "Name (315)" for specific time) in venue cols
 
-    const rows = csvText.split(/\r?\n/).map(row => {
-      // Simple CSV split (handles quoted fields)
-      const result = [];
-      let current = '';
-      let inQuotes = false;
-      for (const char of row) {
-        if (char === '"') { inQuotes = !inQuotes; }
-        else if (char === ',' && !inQuotes) { result.push(current.trim()); current = ''; }
-        else { current += char; }
-      }
-      result.push(current.trim());
-      return result;
-    });
+    const rows = parseDelimited(csvText, ',').map(row => row.map(c => c.trim()));
 
     if (rows.length === 0) return [];
 
@@ -2367,6 +3472,725 @@
     return shows;
   }
 
+  // ── Row import (CSV / TSV) ─────────────────────────────────────────────────
+  // Ordinary one-show-per-row files, or cells pasted from a spreadsheet. The
+  // user maps columns to fields; every row is checked as they go.
+
+  const ROW_IMPORT_FIELDS = [
+    { key: 'artist',    label: 'Artist',    guess: /artist|band|performer|^act$|^name$/i },
+    { key: 'venue',     label: 'Venue',     guess: /venue|location|place|stage/i },
+    { key: 'day',       label: 'Day',       guess: /day|date/i },
+    { key: 'start',     label: 'Start',     guess: /start|^time$|set ?time|^from$/i },
+    { key: 'end',       label: 'End',       guess: /end|until|finish|^to$/i },
+    { key: 'showcase',  label: 'Showcase',  guess: /showcase|event|party|presenter|host/i },
+    { key: 'admission', label: 'Admission', guess: /admission|price|cover|ticket|cost/i },
+    { key: 'website',   label: 'Website',   guess: /website|url|link|rsvp/i },
+  ];
+
+  let rowImport = { rows: [], header: false, mapping: {} };
+  let pendingRowShows = [];
+
+  function openRowImportModal() {
+    document.getElementById('import-rows-text').value = '';
+    document.getElementById('import-rows-file').value = '';
+    rowImport = { rows: [], header: false, mapping: {} };
+    pendingRowShows = [];
+    renderRowImport();
+    document.getElementById('modal-import-rows').classList.add('visible');
+    document.getElementById('import-rows-text').focus();
+  }
+
+  function setupRowImport() {
+    document.getElementById('btn-cancel-import-rows').addEventListener('click', () =>
+      closeModal('modal-import-rows')
+    );
+
+    document.getElementById('modal-import-rows').addEventListener('click', (e) => {
+      if (e.target === document.getElementById('modal-import-rows')) closeModal('modal-import-rows');
+    });
+
+    document.getElementById('import-rows-text').addEventListener('input', (e) => loadImportRows(e.target.value));
+
+    document.getElementById('import-rows-file').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = (ev) => {
+        document.getElementById('import-rows-text').value = ev.target.result;
+        loadImportRows(ev.target.result);
+      };
+      reader.readAsText(file);
+    });
+
+    document.getElementById('import-rows-header').addEventListener('change', (e) => {
+      rowImport.header = e.target.checked;
+      rowImport.mapping = guessRowMapping(rowImport.rows, rowImport.header);
+      renderRowImport();
+    });
+
+    document.getElementById('import-rows-mapping').addEventListener('change', (e) => {
+      const field = e.target.dataset.field;
+      if (!field) return;
+      rowImport.mapping[field] = e.target.value === '' ? null : Number(e.target.value);
+      renderRowImportPreview();
+    });
+
+    document.getElementById('import-rows-day').addEventListener('change', renderRowImportPreview);
+
+    document.getElementById('btn-confirm-import-rows').addEventListener('click', () => {
+      if (!pendingRowShows.length) return;
+      closeModal('modal-import-rows');
+      addImportedShows(pendingRowShows);
+    });
+  }
+
+  // Tabs mean a spreadsheet paste; otherwise whichever of , and ; the first line uses more
+  function detectDelimiter(text) {
+    const first = text.split(/\r?\n/, 1)[0];
+    if (first.includes('\t')) return '\t';
+    return (first.match(/;/g) || []).length > (first.match(/,/g) || []).length ? ';' : ',';
+  }
+
+  function loadImportRows(text) {
+    const rows = parseDelimited(text, detectDelimiter(text))
+      .map(row => row.map(c => c.trim()))
+      .filter(row => row.some(Boolean));
+    // Column names, not a show: names a field and has no time in it
+    const header = rows.length > 1 && rows[0].some(c => /artist|band|venue/i.test(c)) &&
+      !rows[0].some(c => parseUserTime(c));
+    rowImport = { rows, header, mapping: guessRowMapping(rows, header) };
+    renderRowImport();
+  }
+
+  // Field → column index. Header names are matched first; without a header
+  // the columns are taken in ROW_IMPORT_FIELDS order.
+  function guessRowMapping(rows, header) {
+    const width = Math.max(0, ...rows.map(r => r.length));
+    const mapping = {};
+    if (!header) {
+      ROW_IMPORT_FIELDS.forEach((f, i) => { mapping[f.key] = i < width ? i : null; });
+      return mapping;
+    }
+    const taken = new Set();
+    for (const f of ROW_IMPORT_FIELDS) {
+      const col = rows[0].findIndex((name, i) => !taken.has(i) && f.guess.test(name));
+      mapping[f.key] = col >= 0 ? col : null;
+      if (col >= 0) taken.add(col);
+    }
+    return mapping;
+  }
+
+  function renderRowImport() {
+    const { rows, header, mapping } = rowImport;
+    document.getElementById('import-rows-header').checked = header;
+    document.getElementById('import-rows-setup').hidden = rows.length === 0;
+    const width = Math.max(0, ...rows.map(r => r.length));
+    const columnName = i => (header && rows[0][i]) || `Column ${i + 1}`;
+    const options = ['<option value="">—</option>']
+      .concat(Array.from({ length: width }, (_, i) => `<option value="${i}">${escHtml(columnName(i))}</option>`))
+      .join('');
+    const el = document.getElementById('import-rows-mapping');
+    el.innerHTML = ROW_IMPORT_FIELDS.map(f => `
+      <label class="rows-mapping__field">
+        <span>${f.label}${f.key === 'artist' || f.key === 'venue' || f.key === 'start' ? ' *' : ''}</span>
+        <select data-field="${f.key}">${options}</select>
+      </label>`).join('');
+    el.querySelectorAll('select').forEach(sel => {
+      const col = mapping[sel.dataset.field];
+      sel.value = col == null ? '' : String(col);
+    });
+    renderRowImportPreview();
+  }
+
+  // "2026-03-12", "3/12", "Thu 3/12", "March 12", "Thursday", "Day 2" → a festival day, or null
+  function parseUserDay(str, days) {
+    str = (str || '').trim().toLowerCase();
+    if (!str) return null;
+    const year = (days[0] || festivalTodayIso()).slice(0, 4);
+    const pad = n => String(n).padStart(2, '0');
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    let iso = null;
+    let m;
+    if ((m = str.match(/(\d{4})-(\d{1,2})-(\d{1,2})/))) iso = `${m[1]}-${pad(m[2])}-${pad(m[3])}`;
+    else if ((m = str.match(/(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?/))) iso = `${m[3] ? (m[3].length === 2 ? '20' + m[3] : m[3]) : year}-${pad(m[1])}-${pad(m[2])}`;
+    else if ((m = str.match(/([a-z]{3})[a-z]*\.?\s+(\d{1,2})\b/)) && months.includes(m[1])) iso = `${year}-${pad(months.indexOf(m[1]) + 1)}-${pad(m[2])}`;
+    else if ((m = str.match(/\b(\d{1,2})\s+([a-z]{3})/)) && months.includes(m[2])) iso = `${year}-${pad(months.indexOf(m[2]) + 1)}-${pad(m[1])}`;
+    else if ((m = str.match(/^day\s*(\d+)$/))) iso = days[Number(m[1]) - 1] || null;
+    else {
+      const weekday = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].indexOf(str.slice(0, 3));
+      const matches = days.filter(d => new Date(d + 'T12:00:00').getDay() === weekday);
+      if (weekday >= 0 && matches.length === 1) iso = matches[0];
+    }
+    return iso && days.includes(iso) ? iso : null;
+  }
+
+  function parseAdmission(str) {
+    str = (str || '').toLowerCase();
+    if (!str) return null;
+    if (/badge|wristband|official/.test(str)) return 'badge';
+    if (/free|rsvp|no cover/.test(str)) return 'free';
+    if (/\$|\d|cover|paid|ticket/.test(str)) return 'cover';
+    return null;
+  }
+
+  // One row → { show } or { error }
+  function rowToShow(cells, mapping, defaultDay, days) {
+    const get = key => (mapping[key] == null ? '' : (cells[mapping[key]] || '').trim());
+    const artist = get('artist');
+    const venue = get('venue');
+    if (!artist) return { error: 'No artist' };
+    if (!venue) return { error: 'No venue' };
+    const dayRaw = get('day');
+    const day = dayRaw ? parseUserDay(dayRaw, days) : defaultDay;
+    if (!day) return { error: /^[a-z]+$/i.test(dayRaw) ? `Which "${dayRaw}"? Use a date` : `Not a festival day: "${dayRaw}"` };
+    const startRaw = get('start');
+    const endRaw = get('end');
+    // "9:00 PM – 9:45 PM" in a single start column
+    const [startPart, rangeEnd] = endRaw ? [startRaw] : startRaw.split(/\s*[–—-]\s*|\s+to\s+/i);
+    if (!startPart) return { error: 'No start time' };
+    const startTime = parseUserTime(startPart);
+    if (!startTime) return { error: `Can't read start time "${startPart}"` };
+    const endText = endRaw || rangeEnd || '';
+    const endTime = endText ? parseUserTime(endText) : null;
+    if (endText && !endTime) return { error: `Can't read end time "${endText}"` };
+    const admission = parseAdmission(get('admission'));
+    return {
+      show: {
+        id: `rows_${Date.now()}_`,
+        artist_name: artist,
+        venue,
+        day,
+        start_time: startTime,
+        end_time: endTime,
+        ...(admission ? { admission } : {}),
+        source: 'user',
+        showcase: get('showcase'),
+        website: get('website'),
+        notes: '',
+      },
+    };
+  }
+
+  function renderRowImportPreview() {
+    const { rows, header, mapping } = rowImport;
+    const days = allDays().length ? allDays() : festivalDayRange();
+    const defaultDay = document.getElementById('import-rows-day').value;
+    const key = s => `${s.artist_name}|${s.venue}|${s.day}|${s.start_time}`;
+    const saved = new Set(loadUserShows().map(key));
+    const seen = new Set();
+    const body = header ? rows.slice(1) : rows;
+    pendingRowShows = [];
+    let errors = 0, dupes = 0;
+
+    const tableRows = body.map((cells, i) => {
+      const { show, error } = rowToShow(cells, mapping, defaultDay, days);
+      let status = error;
+      if (show && (saved.has(key(show)) || seen.has(key(show)))) {
+        status = 'Already added';
+        dupes++;
+      } else if (show) {
+        show.id += pendingRowShows.length;
+        pendingRowShows.push(show);
+        seen.add(key(show));
+      } else {
+        errors++;
+      }
+      const time = show ? formatTime12(show.start_time) + (show.end_time ? `–${formatTime12(show.end_time)}` : '') : '';
+      return `<tr class="${error ? 'rows-preview__row--error' : status ? 'rows-preview__row--dupe' : ''}">
+        <td>${i + (header ? 2 : 1)}</td>
+        <td>${escHtml(show ? show.artist_name : cells[mapping.artist] || '')}</td>
+        <td>${escHtml(show ? show.venue : cells[mapping.venue] || '')}</td>
+        <td>${show ? escHtml(formatDayLabel(show.day)) : ''}</td>
+        <td>${escHtml(time)}</td>
+        <td>${escHtml(status || '✓')}</td>
+      </tr>`;
+    });
+
+    const preview = document.getElementById('import-rows-preview');
+    preview.innerHTML = body.length ? `
+      <div class="rows-preview__summary">${pendingRowShows.length} ready${errors ? ` · ${errors} with errors (skipped)` : ''}${dupes ? ` · ${dupes} already added` : ''}</div>
+      <table class="rows-preview">
+        <thead><tr><th>Row</th><th>Artist</th><th>Venue</th><th>Day</th><th>Time</th><th></th></tr></thead>
+        <tbody>${tableRows.join('')}</tbody>
+      </table>` : '';
+    const btn = document.getElementById('btn-confirm-import-rows');
+    btn.disabled = pendingRowShows.length === 0;
+    btn.textContent = pendingRowShows.length ? `Import ${pendingRowShows.length}` : 'Import';
+  }
+
+  // ── Lineup text import ─────────────────────────────────────────────────────
+  // Flyer captions like "3/14 @ Cheer Up Charlies — 9:30 Band A, 10:15 Band B,
+  // 11 Band C". Dates and venues carry over to the lines after them; each
+  // timed name becomes an editable draft. Anything not understood is listed
+  // under the drafts so it can be added by hand.
+
+  let flyerDrafts = [];   // [{ time, artist, venue, day }] — time as typed
+  let flyerLeftovers = []; // [{ line, text }] — segments that weren't understood
+
+  function openFlyerImportModal() {
+    document.getElementById('import-flyer-text').value = '';
+    document.getElementById('import-flyer-venue').value = '';
+    document.getElementById('import-flyer-showcase').value = '';
+    flyerDrafts = [];
+    flyerLeftovers = [];
+    renderFlyerDrafts();
+    document.getElementById('modal-import-flyer').classList.add('visible');
+    document.getElementById('import-flyer-text').focus();
+  }
+
+  function setupFlyerImport() {
+    document.getElementById('btn-cancel-import-flyer').addEventListener('click', () =>
+      closeModal('modal-import-flyer')
+    );
+
+    document.getElementById('modal-import-flyer').addEventListener('click', (e) => {
+      if (e.target === document.getElementById('modal-import-flyer')) closeModal('modal-import-flyer');
+    });
+
+    const reparse = async () => {
+      const known = await loadKnownArtistNames();
+      ({ drafts: flyerDrafts, leftovers: flyerLeftovers } = parseFlyerText(
+        document.getElementById('import-flyer-text').value,
+        document.getElementById('import-flyer-day').value,
+        document.getElementById('import-flyer-venue').value.trim(),
+        known,
+      ));
+      renderFlyerDrafts();
+    };
+    document.getElementById('import-flyer-text').addEventListener('input', reparse);
+    document.getElementById('import-flyer-day').addEventListener('change', reparse);
+    document.getElementById('import-flyer-venue').addEventListener('change', reparse);
+
+    // Draft edits update the draft in place; re-rendering would steal focus
+    const drafts = document.getElementById('import-flyer-drafts');
+    const onEdit = (e) => {
+      const row = e.target.closest('[data-draft]');
+      if (!row || !e.target.dataset.key) return;
+      flyerDrafts[Number(row.dataset.draft)][e.target.dataset.key] = e.target.value;
+      updateFlyerValidity();
+    };
+    drafts.addEventListener('input', onEdit);
+    drafts.addEventListener('change', onEdit);
+    drafts.addEventListener('click', (e) => {
+      const remove = e.target.closest('.flyer-draft__remove');
+      if (remove) {
+        flyerDrafts.splice(Number(remove.closest('[data-draft]').dataset.draft), 1);
+        renderFlyerDrafts();
+        return;
+      }
+      const add = e.target.closest('[data-leftover]');
+      if (add) {
+        const left = flyerLeftovers.splice(Number(add.dataset.leftover), 1)[0];
+        flyerDrafts.push({ time: '', artist: left.text, venue: left.venue, day: left.day });
+        renderFlyerDrafts();
+      }
+    });
+
+    document.getElementById('btn-confirm-import-flyer').addEventListener('click', () => {
+      if (!flyerDrafts.length || flyerDrafts.some(d => flyerDraftError(d))) return;
+      const showcase = document.getElementById('import-flyer-showcase').value.trim();
+      const stamp = Date.now();
+      const shows = flyerDrafts.map((d, i) => ({
+        id: `flyer_${stamp}_${i}`,
+        artist_name: d.artist.trim(),
+        venue: d.venue.trim(),
+        day: d.day,
+        start_time: parseUserTime(d.time),
+        end_time: null,
+        source: 'user',
+        showcase,
+        website: '',
+        notes: '',
+      }));
+      closeModal('modal-import-flyer');
+      addImportedShows(shows);
+    });
+  }
+
+  // spellingKey → venue name, for venues.json day lists, loaded shows and the
+  // aliases (both spellings; the full name is the one stored)
+  function flyerVenueIndex() {
+    const index = new Map();
+    const add = (key, name) => { if (key.length >= 4 && !index.has(key)) index.set(key, name); };
+    knownVenueNames().forEach(v => add(venueSpellingKey(v), v));
+    for (const [full, short] of Object.entries(venueAliases)) {
+      add(venueSpellingKey(full), full);
+      add(venueSpellingKey(short), full);
+    }
+    return index;
+  }
+
+  // A venue named somewhere in text ("Hotel Vegas Day Party" → Hotel Vegas), longest name first
+  function findFlyerVenue(text, index) {
+    const key = venueSpellingKey(text);
+    let best = null;
+    for (const [k, name] of index) {
+      if (key.includes(k) && (!best || k.length > best.k.length)) best = { k, name };
+    }
+    return best && best.name;
+  }
+
+  // A flyer time → "HH:MM". Without am/pm, 1–12 mean whichever comes first
+  // after the previous set (prevOrder, in minutes from midnight, with
+  // past-midnight hours counted on the same night), and the first set of a
+  // lineup is taken as evening.
+  function flyerOrder(time) {
+    const [h, m] = time.split(':').map(Number);
+    return (h < DAY_START_HOUR ? h + 24 : h) * 60 + m;
+  }
+
+  function resolveFlyerTime(token, prevOrder) {
+    const t = token.toLowerCase().replace(/\s+/g, '');
+    if (/[ap]\.?m\.?$/.test(t)) return parseUserTime(t);
+    const m = t.match(/^(\d{1,2})(?:[:.]?(\d{2}))?$/);
+    if (!m || +m[1] > 23 || +(m[2] || 0) > 59) return null;
+    const h = +m[1];
+    const mins = m[2] || '00';
+    const pad = n => String(n).padStart(2, '0');
+    if (h === 0 || h > 12) return `${pad(h)}:${mins}`;
+    const morning = `${pad(h % 12)}:${mins}`;
+    const evening = `${pad(h % 12 + 12)}:${mins}`;
+    if (prevOrder == null) return h === 12 ? morning.replace(/^00/, '12') : evening;
+    const later = [morning, evening]
+      .filter(c => flyerOrder(c) >= prevOrder)
+      .sort((a, b) => flyerOrder(a) - flyerOrder(b));
+    return later[0] || evening;
+  }
+
+  const FLYER_DATE_RE = /\b(?:(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?,?\s+)?(?:\d{1,2}\/\d{1,2}(?:\/\d{2,4})?|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?)\b/i;
+  const FLYER_TIME = String.raw`\d{1,2}(?:[:.]\d{2})?\s*(?:[ap]\.?m\.?)?|\d{3,4}`;
+  const FLYER_LEADING_TIME_RE = new RegExp(String.raw`^(${FLYER_TIME})(?![:.]?\d)(?=[\s\-–—:]|$)[\s\-–—:]*(.+)$`, 'i');
+  const FLYER_TIME_ONLY_RE = new RegExp(String.raw`^(?:${FLYER_TIME})$`, 'i');
+  // Trailing times need a colon or am/pm, so "Blink 182" stays a name
+  const FLYER_TRAILING_TIME_RE = /^(.+?)[\s\-–—@:]+(\d{1,2}[:.]\d{2}\s*(?:[ap]\.?m\.?)?|\d{1,2}\s*[ap]\.?m\.?)$/i;
+
+  function cleanFlyerName(name) {
+    return name.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N})!?'"]+$/gu, '').trim();
+  }
+
+  // → { drafts, leftovers }. day and venue are the defaults until the text names its own.
+  function parseFlyerText(text, day, venue, known) {
+    const days = allDays().length ? allDays() : festivalDayRange();
+    const venues = flyerVenueIndex();
+    const drafts = [];
+    const leftovers = [];
+    let prevOrder = null;
+    const setContext = (newDay, newVenue) => {
+      if ((newDay && newDay !== day) || (newVenue && newVenue !== venue)) prevOrder = null;
+      day = newDay || day;
+      venue = newVenue || venue;
+    };
+
+    text.split(/\r?\n/).forEach((raw, lineNo) => {
+      let line = raw.trim();
+      if (!line) return;
+
+      const date = line.match(FLYER_DATE_RE);
+      if (date) {
+        const d = parseUserDay(date[0].replace(/(\d)(?:st|nd|rd|th)\b/i, '$1'), days);
+        if (!d) {
+          leftovers.push({ line: lineNo + 1, text: line, day, venue });
+          return;
+        }
+        setContext(d, null);
+        line = line.replace(date[0], ' ');
+      }
+
+      // "@ Venue" up to the next separator
+      const at = line.match(/@\s*([^,;|•·\n]+?)(?=\s*(?:[,;|•·]|\s[—–-]\s|$))/);
+      if (at) {
+        setContext(null, findFlyerVenue(at[1], venues) || at[1].trim());
+        line = line.replace(at[0], ' ');
+      }
+
+      // " — 9:30 Band A" starts a new entry, but "Band A - 3:30pm" is one
+      const segments = [];
+      for (const part of line.split(/\s*[,;|•·]\s*/)) {
+        part.split(/\s+[—–-]\s+(?=\d)/).forEach((piece, i) => {
+          if (i > 0 && FLYER_TIME_ONLY_RE.test(piece.trim())) segments[segments.length - 1] += ` - ${piece}`;
+          else segments.push(piece);
+        });
+      }
+
+      for (const segment of segments) {
+        const seg = cleanFlyerName(segment);
+        if (!seg) continue;
+        const lead = seg.match(FLYER_LEADING_TIME_RE);
+        const trail = !lead && seg.match(FLYER_TRAILING_TIME_RE);
+        const [token, name] = lead ? [lead[1], lead[2]] : trail ? [trail[2], trail[1]] : [null, seg];
+        const time = token && resolveFlyerTime(token, prevOrder);
+        const artist = cleanFlyerName(name);
+        if (time && artist) {
+          prevOrder = flyerOrder(time);
+          drafts.push({ time: formatTime12(time), artist, venue, day });
+        } else if (known.has(normForMatch(seg))) {
+          drafts.push({ time: '', artist: seg, venue, day });
+        } else if (findFlyerVenue(seg, venues)) {
+          setContext(null, findFlyerVenue(seg, venues));
+        } else {
+          leftovers.push({ line: lineNo + 1, text: seg, day, venue });
+        }
+      }
+    });
+    return { drafts, leftovers };
+  }
+
+  function flyerDraftError(d) {
+    if (!d.artist.trim()) return 'Artist?';
+    if (!d.venue.trim()) return 'Venue?';
+    if (!d.day) return 'Day?';
+    if (!parseUserTime(d.time)) return 'Time?';
+    return null;
+  }
+
+  function renderFlyerDrafts() {
+    const days = allDays().length ? allDays() : festivalDayRange();
+    const dayOptions = sel => days.map(d =>
+      `<option value="${d}"${d === sel ? ' selected' : ''}>${escHtml(formatDayLabel(d))}</option>`
+    ).join('');
+    const el = document.getElementById('import-flyer-drafts');
+    el.innerHTML = (flyerDrafts.length ? `
+      <table class="rows-preview flyer-drafts">
+        <thead><tr><th>Time</th><th>Artist</th><th>Venue</th><th>Day</th><th></th></tr></thead>
+        <tbody>${flyerDrafts.map((d, i) => `
+          <tr data-draft="${i}">
+            <td><input class="flyer-draft__time" data-key="time" value="${escHtml(d.time)}" placeholder="9:30 PM"></td>
+            <td><input data-key="artist" value="${escHtml(d.artist)}"></td>
+            <td><input data-key="venue" value="${escHtml(d.venue)}" list="venue-datalist"></td>
+            <td><select data-key="day">${dayOptions(d.day)}</select></td>
+            <td><button class="flyer-draft__remove" title="Remove">×</button></td>
+          </tr>`).join('')}
+        </tbody>
+      </table>` : '') + (flyerLeftovers.length ? `
+      <div class="flyer-leftovers">
+        <div class="rows-preview__summary">Not recognised — add any that are shows:</div>
+        ${flyerLeftovers.map((l, i) => `
+          <div class="flyer-leftover">
+            <span class="flyer-leftover__line">Line ${l.line}</span>
+            <span class="flyer-leftover__text">${escHtml(l.text)}</span>
+            <button class="btn btn--outline" data-leftover="${i}">+ Add</button>
+          </div>`).join('')}
+      </div>` : '');
+    updateFlyerValidity();
+  }
+
+  function updateFlyerValidity() {
+    let bad = 0;
+    document.querySelectorAll('#import-flyer-drafts [data-draft]').forEach(row => {
+      const error = flyerDraftError(flyerDrafts[Number(row.dataset.draft)]);
+      row.classList.toggle('rows-preview__row--error', !!error);
+      row.title = error || '';
+      if (error) bad++;
+    });
+    document.getElementById('import-flyer-summary').textContent = flyerDrafts.length
+      ? `${flyerDrafts.length} draft show${flyerDrafts.length === 1 ? '' : 's'}${bad ? ` · ${bad} need${bad === 1 ? 's' : ''} fixing` : ''}`
+      : '';
+    const btn = document.getElementById('btn-confirm-import-flyer');
+    btn.disabled = !flyerDrafts.length || bad > 0;
+    btn.textContent = flyerDrafts.length ? `Import ${flyerDrafts.length}` : 'Import';
+  }
+
+  // ── Calendar (.ics) import ─────────────────────────────────────────────────
+  // Showcase organizers' calendar files. Each VEVENT becomes one show per
+  // artist in its SUMMARY; times land in the festival's timezone, and sets
+  // before DAY_START_HOUR count toward the previous festival day.
+
+  let pendingIcsShows = [];
+
+  function openIcsImportModal() {
+    document.getElementById('import-ics-file').value = '';
+    document.getElementById('import-ics-preview').textContent = '';
+    document.getElementById('import-ics-preview').classList.remove('visible');
+    document.getElementById('btn-confirm-import-ics').disabled = true;
+    pendingIcsShows = [];
+    document.getElementById('modal-import-ics').classList.add('visible');
+  }
+
+  function setupIcsImport() {
+    document.getElementById('btn-cancel-import-ics').addEventListener('click', () =>
+      closeModal('modal-import-ics')
+    );
+
+    document.getElementById('modal-import-ics').addEventListener('click', (e) => {
+      if (e.target === document.getElementById('modal-import-ics')) closeModal('modal-import-ics');
+    });
+
+    document.getElementById('import-ics-file').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = async (ev) => {
+        try {
+          const { calName, events } = parseIcs(ev.target.result);
+          const known = await loadKnownArtistNames();
+          const { shows, skipped, incomplete } = icsEventsToShows(events, calName, known);
+          pendingIcsShows = shows;
+          const notes = [
+            skipped ? `${skipped} outside the festival dates skipped` : '',
+            incomplete ? `${incomplete} without a title or start time skipped` : '',
+          ].filter(Boolean);
+          const preview = document.getElementById('import-ics-preview');
+          preview.textContent = `Parsed ${shows.length} shows from ${events.length} events` +
+            (notes.length ? ` (${notes.join(', ')})` : '') + '. First 5:\n' +
+            shows.slice(0, 5).map(s =>
+              `${formatDayLabel(s.day)}  ${s.no_set_time ? 'TBA' : formatTime12(s.start_time)}  ${s.artist_name}  @  ${s.venue}`
+            ).join('\n');
+          preview.classList.add('visible');
+          document.getElementById('btn-confirm-import-ics').disabled = shows.length === 0;
+        } catch (err) {
+          alert('Failed to parse calendar: ' + err.message);
+        }
+      };
+      reader.readAsText(file);
+    });
+
+    document.getElementById('btn-confirm-import-ics').addEventListener('click', () => {
+      if (!pendingIcsShows.length) return;
+      closeModal('modal-import-ics');
+      addImportedShows(pendingIcsShows);
+    });
+  }
+
+  function icsUnescape(text) {
+    return text.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+  }
+
+  // → { calName, events: [{ SUMMARY: { value, params }, DTSTART: …, … }] }
+  function parseIcs(text) {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    if (!lines.some(l => /^BEGIN:VCALENDAR/i.test(l))) throw new Error('Not an iCalendar file.');
+    let calName = '';
+    const events = [];
+    let event = null;
+    let depth = 0; // nested components (VALARM) inside an event are ignored
+    for (const line of lines) {
+      const m = line.match(/^([A-Za-z0-9-]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+      if (!m) continue;
+      const name = m[1].toUpperCase();
+      const value = m[3];
+      if (name === 'BEGIN') {
+        if (event) depth++;
+        else if (value.toUpperCase() === 'VEVENT') event = {};
+        continue;
+      }
+      if (name === 'END') {
+        if (depth) depth--;
+        else if (event && value.toUpperCase() === 'VEVENT') { events.push(event); event = null; }
+        continue;
+      }
+      const params = {};
+      for (const p of m[2].split(';').slice(1)) {
+        const [k, v = ''] = p.split('=');
+        params[k.toUpperCase()] = v.replace(/^"|"$/g, '');
+      }
+      if (event && !depth) event[name] = { value, params };
+      else if (!event && name === 'X-WR-CALNAME') calName = icsUnescape(value).trim();
+    }
+    return { calName, events };
+  }
+
+  // DTSTART/DTEND → { day, time, allDay } on the festival's clock. UTC (…Z) and
+  // TZID times are converted; floating times are taken as festival time.
+  function icsToFestivalTime(prop) {
+    const m = prop && prop.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{0,2}(Z?))?$/);
+    if (!m) return null;
+    const [, y, mo, d, hh, mm, utc] = m;
+    if (hh === undefined) return { day: `${y}-${mo}-${d}`, time: null, allDay: true };
+    let local = new Date(+y, mo - 1, +d, +hh, +mm);
+    try {
+      const zone = festival.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+      if (utc) local = utcToZoneTime(new Date(Date.UTC(+y, mo - 1, +d, +hh, +mm)), zone);
+      else if (prop.params.TZID && prop.params.TZID !== zone) local = utcToZoneTime(zoneTimeToUtc(local, prop.params.TZID), zone);
+    } catch { /* unknown zone name: keep the wall-clock time as written */ }
+    // Past-midnight sets belong to the festival day before, as in parseShowTime
+    const festivalDay = new Date(local);
+    if (local.getHours() < DAY_START_HOUR) festivalDay.setDate(festivalDay.getDate() - 1);
+    const pad = n => String(n).padStart(2, '0');
+    return {
+      day: `${festivalDay.getFullYear()}-${pad(festivalDay.getMonth() + 1)}-${pad(festivalDay.getDate())}`,
+      time: `${pad(local.getHours())}:${pad(local.getMinutes())}`,
+      allDay: false,
+    };
+  }
+
+  // "Showcase: A, B & C" → { showcase, artists }. Commas, "|", "w/" and
+  // "feat." always separate artists; "/" and "+" unless what they join is a
+  // known artist ("AC/DC", "Florence + the Machine"); "&", "and", "with" and
+  // "x" only when the whole isn't known and one of the parts is ("Simon &
+  // Garfunkel" stays together).
+  function splitIcsSummary(summary, known) {
+    let showcase = '';
+    let lineup = summary;
+    const presents = summary.match(/^(.+?)\s+(?:presents|pres\.)\s*:?\s+(.+)$/i) || summary.match(/^(.+?):\s+(.+)$/);
+    if (presents && !known.has(normForMatch(summary))) [, showcase, lineup] = presents;
+
+    const isKnown = n => known.has(normForMatch(n));
+    const filler = /^(?:more|and more|\+ ?more|tba|tbd|special guests?|guests?|\.\.\.|…)$/i;
+    const artists = [];
+    for (const piece of lineup.split(/\s*(?:,|\||•|·|\bw\/|\bfeat\.?|\bft\.)\s*/i)) {
+      // [name, sep, name, …]: take the longest run of names that is known
+      const bits = piece.trim().split(/(\s*[/+]\s*)/);
+      const names = [];
+      for (let i = 0; i < bits.length; ) {
+        let j = bits.length - 1;
+        while (j > i && !isKnown(bits.slice(i, j + 1).join(''))) j -= 2;
+        names.push(bits.slice(i, j + 1).join(''));
+        i = j + 2;
+      }
+      for (const n of names) {
+        const name = n.trim();
+        if (!name || filler.test(name)) continue;
+        const parts = name.split(/\s+(?:&|and|with|x)\s+/i).map(p => p.trim()).filter(Boolean);
+        if (parts.length > 1 && !isKnown(name) && parts.some(isKnown)) artists.push(...parts.filter(p => !filler.test(p)));
+        else artists.push(name);
+      }
+    }
+    return { showcase: showcase.trim(), artists };
+  }
+
+  // Organizer locations are often "Venue, 123 Street, Austin, TX": keep the
+  // venue, spelled the way the loaded schedule spells it if it's there.
+  function icsVenue(location) {
+    const name = icsUnescape(location).split(/,|\n/)[0].trim();
+    const key = venueSpellingKey(name);
+    return allShows.map(s => s.venue).find(v => venueSpellingKey(v) === key) || name;
+  }
+
+  function icsEventsToShows(events, calName, known) {
+    const days = new Set(allDays());
+    const inFestival = day => FESTIVAL_FIRST_DAY && FESTIVAL_LAST_DAY
+      ? day >= FESTIVAL_FIRST_DAY && day <= FESTIVAL_LAST_DAY
+      : !days.size || days.has(day);
+    const shows = [];
+    let skipped = 0;     // outside the festival dates
+    let incomplete = 0;  // no SUMMARY or usable DTSTART
+    for (const ev of events) {
+      const start = icsToFestivalTime(ev.DTSTART);
+      const end = icsToFestivalTime(ev.DTEND);
+      const summary = ev.SUMMARY ? icsUnescape(ev.SUMMARY.value).trim() : '';
+      if (!start || !summary) { incomplete++; continue; }
+      if (!inFestival(start.day)) { skipped++; continue; }
+      const { showcase, artists } = splitIcsSummary(summary, known);
+      for (const artist of artists) {
+        shows.push({
+          id: `ics_${Date.now()}_${shows.length}`,
+          artist_name: artist,
+          venue: ev.LOCATION ? icsVenue(ev.LOCATION.value) : 'TBA',
+          day: start.day,
+          // All-day events have no set time; the grid still needs a start to place them
+          start_time: start.allDay ? '12:00' : start.time,
+          end_time: end && !end.allDay && !start.allDay ? end.time : null,
+          no_set_time: start.allDay,
+          source: 'user',
+          showcase: showcase || calName,
+          website: ev.URL ? ev.URL.value.trim() : '',
+          notes: '',
+        });
+      }
+    }
+    return { shows, skipped, incomplete };
+  }
+
   // ── Show persistence (localStorage) ───────────────────────────────────────
 
   function appendUserShows(newShows) {
@@ -2393,6 +4217,11 @@
     document.getElementById('btn-delete-show').addEventListener('click', () => {
       if (detailShow) deleteShow(detailShow);
     });
+    document.getElementById('btn-edit-show').addEventListener('click', () => {
+      if (!detailShow) return;
+      closeModal('modal-show-detail');
+      openAddShowModal(detailShow);
+    });
     document.getElementById('modal-show-detail').addEventListener('click', (e) => {
       if (e.target === document.getElementById('modal-show-detail')) closeModal('modal-show-detail');
     });
@@ -2400,8 +4229,6 @@
 
   // ── Theme ──────────────────────────────────────────────────────────────────
 
-  const THEME_KEY = 'sxsw2026_theme';
-
   function applyTheme(mode) {
     if (mode === 'light') {
       document.body.classList.add('light');
@@ -2413,12 +4240,12 @@
   }
 
   function setupTheme() {
-    const saved = localStorage.getItem(THEME_KEY) || 'system';
+    const saved = localStorage.getItem(nsKey('theme')) || 'system';
     applyTheme(saved);
     updateThemeButton();
 
     window.matchMedia('(prefers-color-scheme: light)').addEventListener('change', () => {
-      if ((localStorage.getItem(THEME_KEY) || 'system') === 'system') {
+      if ((localStorage.getItem(nsKey('theme')) || 'system') === 'system') {
         applyTheme('system');
         updateThemeButton();
       }
@@ -2429,9 +4256,9 @@
       if (!seg) return;
       const mode = seg.dataset.theme;
       if (mode === 'system') {
-        localStorage.removeItem(THEME_KEY);
+        localStorage.removeItem(nsKey('theme'));
       } else {
-        localStorage.setItem(THEME_KEY, mode);
+        localStorage.setItem(nsKey('theme'), mode);
       }
       applyTheme(mode);
       updateThemeButton();
@@ -2440,7 +4267,7 @@
   }
 
   function updateThemeButton() {
-    const mode = localStorage.getItem(THEME_KEY) || 'system';
+    const mode = localStorage.getItem(nsKey('theme')) || 'system';
     document.querySelectorAll('#btn-theme .theme-seg').forEach(seg => {
       seg.classList.toggle('active', seg.dataset.theme === mode);
     });
@@ -2492,6 +4319,21 @@
 
   // ── Search filter ──────────────────────────────────────────────────────────
 
+  // A day:3/14 term moves the day tabs to that day, since the grid and Now
+  // views only ever show the selected day
+  function followSearchDay() {
+    const clause = FestWizSearch.compile(searchFilter).clauses
+      .find(c => c.field === 'day' && c.op === '=' && !c.negate);
+    if (!clause) return;
+    const day = allDays().find(d => d.slice(5) === clause.value);
+    if (!day || day === selectedDay) return;
+    selectedDay = day;
+    document.querySelectorAll('.day-tab').forEach(b =>
+      b.classList.toggle('active', b.dataset.day === selectedDay)
+    );
+    updatePostFestivalBanner();
+  }
+
   function setupSearch() {
     const input = document.getElementById('sched-search');
     const clear = document.getElementById('sched-search-clear');
@@ -2499,6 +4341,7 @@
     input.addEventListener('input', () => {
       searchFilter = input.value.trim();
       clear.classList.toggle('visible', input.value.length > 0);
+      followSearchDay();
       renderCurrentView();
     });
     input.addEventListener('keydown', (e) => {
@@ -2543,7 +4386,7 @@
         if (btn.dataset.view === 'nownext') { viewNow = null; viewNowShifted = false; } // reset to system clock
         selectedView = btn.dataset.view;
         if (['nownext', 'grid', 'agenda'].includes(selectedView)) {
-          localStorage.setItem('sxsw2026_last_view', selectedView);
+          localStorage.setItem(nsKey('last_view'), selectedView);
         }
         document.querySelectorAll('.view-btn').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
@@ -2569,6 +4412,7 @@
   }
 
   async function init() {
+    await loadFestival();
     setupTheme();
     setupViewNav();
     setupHamburger();
@@ -2579,6 +4423,11 @@
     setupDetailModal();
     setupAddShow();
     setupCsvImport();
+    setupRowImport();
+    setupFlyerImport();
+    setupIcsImport();
+    setupChanges();
+    setupPlanAlerts();
     let _resizeTimer = null;
     window.addEventListener('resize', () => {
       clearTimeout(_resizeTimer);
@@ -0,0 +1,414 @@
+/* FestWiz — search.js
+ * Shared search engine for the Rate and Schedule pages.
+ *
+ * Text is folded before comparison: diacritics stripped ("Björk" → "bjork"),
+ * lowercased, '&' read as "and", punctuation treated as spaces. Each query word
+ * must match some field, either as a substring or within a small edit distance
+ * ("vgas" → "vegas"), and the summed score ranks the best matches first.
+ *
+ * Queries may also carry structured terms, e.g.
+ *   genre:punk country:UK rating>=3 day:3/14 after:21:00 venue:"Hotel Vegas" free -genre:edm
+ * compile() parses these into clauses; each page evaluates them against its own
+ * records (artists or shows) and runs the remaining bare words through score().
+ *
+ * Exposes window.FestWizSearch = { fold, compile, score, highlight, test, editDistance,
+ *   admission, FIELDS }.
+ */
+(function () {
+  'use strict';
+
+  const ARTICLES = new Set(['the', 'a', 'an']);
+
+  // Structured query fields → value type. Text fields match when the folded
+  // value contains the term (':') or equals it ('='); rating and day also take
+  // < <= > >=; after/before take a time of day.
+  const FIELDS = {
+    artist: 'text', genre: 'text', subgenre: 'text', country: 'text', city: 'text',
+    location: 'text', venue: 'text', showcase: 'text', source: 'text', tag: 'text',
+    rating: 'number', day: 'day', after: 'time', before: 'time',
+  };
+  const FIELD_ALIASES = { name: 'artist' };
+  // Shorthands for how the data spells countries ("United Kingdom, England")
+  const COUNTRY_ALIASES = { uk: 'united kingdom', us: 'united states', usa: 'united states', korea: 'korea' };
+  // Bare keywords that act as filters rather than search words
+  const FLAGS = new Set(['free']);
+
+  // [-][field op](value | "quoted value"), or a bare word / quoted phrase
+  const TERM_RE = /\s*(-(?=\S))?(?:([a-z]+)(>=|<=|:|=|>|<)(?=\S))?(?:"([^"]*)("?)|(\S+))/giy;
+
+  // Letters NFD doesn't decompose into base + combining mark
+  const SPECIAL_FOLDS = { 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ı': 'i' };
+
+  const foldCharCache = new Map();
+  const preparedCache = new Map();
+  const compiledCache = new Map();
+
+  function escHtml(s) {
+    return String(s)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Fold a single character to its searchable form (may be '', one or several chars)
+  function foldChar(ch) {
+    let f = foldCharCache.get(ch);
+    if (f !== undefined) return f;
+    if (ch === '&') {
+      f = ' and ';
+    } else {
+      const lower = ch.toLowerCase();
+      f = SPECIAL_FOLDS[lower] || lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      f = f.replace(/[^\p{L}\p{N}]/gu, ' ');
+    }
+    foldCharCache.set(ch, f);
+    return f;
+  }
+
+  // Fold a string, keeping for each folded char the index of the original char
+  // it came from so matches can be highlighted in the original text.
+  function foldWithMap(str) {
+    const s = String(str || '');
+    let text = '';
+    const map = [];
+    for (let i = 0; i < s.length; i++) {
+      const f = foldChar(s[i]);
+      for (let j = 0; j < f.length; j++) map.push(i);
+      text += f;
+    }
+    return { text, map };
+  }
+
+  function fold(str) {
+    return foldWithMap(str).text.replace(/\s+/g, ' ').trim();
+  }
+
+  // Folded words of a field value, plus the joined form with any leading article removed
+  function prepare(text) {
+    const key = String(text || '');
+    let p = preparedCache.get(key);
+    if (p) return p;
+    const joined = fold(key);
+    const words = joined ? joined.split(' ') : [];
+    const bare = words.length > 1 && ARTICLES.has(words[0]) ? words.slice(1).join(' ') : joined;
+    p = { words, joined, bare };
+    preparedCache.set(key, p);
+    return p;
+  }
+
+  function maxTypos(len) {
+    return len >= 8 ? 2 : len >= 4 ? 1 : 0;
+  }
+
+  // Optimal string alignment distance (Levenshtein + adjacent transpositions),
+  // returning max + 1 as soon as the distance is known to exceed max.
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+        if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d = Math.min(d, prevPrev[j - 2] + 1);
+        }
+        cur.push(d);
+        if (d < rowMin) rowMin = d;
+      }
+      if (rowMin > max) return max + 1;
+      prevPrev = prev;
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  // Same letters in a different order ("bnad" / "band")
+  function isAnagram(a, b) {
+    return [...a].sort().join('') === [...b].sort().join('');
+  }
+
+  // Typo distance between a query token and a word, also trying the word's
+  // prefix so a typo in a half-typed word still matches. Short tokens only
+  // forgive a missing/extra/swapped letter, so "punk" doesn't find "funk".
+  function typoDistance(token, word) {
+    const allowed = maxTypos(token.length);
+    if (!allowed) return Infinity;
+    const short = token.length < 5;
+    let best = Infinity;
+    const candidates = word.length > token.length ? [word, word.slice(0, token.length)] : [word];
+    for (const w of candidates) {
+      if (short && w.length === token.length && !isAnagram(w, token)) continue;
+      const d = editDistance(token, w, allowed);
+      if (d <= allowed && d < best) best = d;
+    }
+    return best;
+  }
+
+  // 1 = whole word, 0.9 = word prefix, 0.7 = inside a word, 0.6/0.45 = 1/2 typos, 0 = no match
+  function tokenScore(token, field) {
+    let best = 0;
+    for (const w of field.words) {
+      if (w === token) return 1;
+      if (w.startsWith(token)) best = Math.max(best, 0.9);
+      else if (w.includes(token)) best = Math.max(best, 0.7);
+      else if (best < 0.6) {
+        const d = typoDistance(token, w);
+        if (d !== Infinity) best = Math.max(best, 0.6 - 0.15 * (d - 1));
+      }
+    }
+    return best;
+  }
+
+  // "3/14", "3-14" or "2026-03-14" → "03-14"
+  function parseDayValue(v) {
+    let m = v.match(/^(?:\d{4}-)?(\d{1,2})[/-](\d{1,2})$/);
+    if (!m) return null;
+    const month = parseInt(m[1], 10), day = parseInt(m[2], 10);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  // "21:00", "21", "9pm", "9:30pm" → "HH:MM"
+  function parseTimeValue(v) {
+    const m = v.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+    if (!m) return null;
+    let h = parseInt(m[1], 10);
+    const mins = m[2] ? parseInt(m[2], 10) : 0;
+    const period = (m[3] || '').toLowerCase();
+    if (period === 'pm' && h !== 12) h += 12;
+    if (period === 'am' && h === 12) h = 0;
+    if (h > 23 || mins > 59 || (period && parseInt(m[1], 10) > 12)) return null;
+    return `${String(h).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+  }
+
+  // Build a clause for a known field, or report why the term is malformed
+  function parseClause(field, op, raw, fail) {
+    const type = FIELDS[field];
+    const value = raw.trim();
+    if (!value) { fail(`${field}${op} needs a value`); return null; }
+    const comparable = type === 'number' || type === 'day';
+    if (!comparable && op !== ':' && op !== '=') { fail(`${field} can't use ${op} — try ${field}:${value}`); return null; }
+
+    switch (type) {
+      case 'text': {
+        let folded = fold(value);
+        if (!folded) { fail(`${field}${op} needs a value`); return null; }
+        if (field === 'country' && COUNTRY_ALIASES[folded]) folded = COUNTRY_ALIASES[folded];
+        return { field, type, op, value: folded };
+      }
+      case 'number': {
+        const n = Number(value);
+        if (!Number.isFinite(n)) { fail(`${field} needs a number, e.g. ${field}>=3`); return null; }
+        return { field, type, op: op === ':' ? '=' : op, value: n };
+      }
+      case 'day': {
+        const day = parseDayValue(value);
+        if (!day) { fail(`Couldn't read day "${value}" — use 3/14 or 2026-03-14`); return null; }
+        return { field, type, op: op === ':' ? '=' : op, value: day };
+      }
+      case 'time': {
+        const time = parseTimeValue(value);
+        if (!time) { fail(`Couldn't read time "${value}" — use 21:00 or 9pm`); return null; }
+        return { field, type, op: ':', value: time };
+      }
+    }
+    return null;
+  }
+
+  // Closest known field for a mistyped one ("genr" → "genre"), if any
+  function suggestField(name) {
+    if (name.length < 4) return null;
+    return Object.keys(FIELDS).find(f => editDistance(name, f, 1) <= 1) || null;
+  }
+
+  // Parse a query into structured clauses plus folded free-text tokens and
+  // phrases. Articles are dropped from the free text unless they're all of it
+  // ("The" still finds "The Citie"). Malformed terms are skipped and the first
+  // problem is reported in .error so the page can show a hint.
+  function compile(query) {
+    const q = String(query || '');
+    let c = compiledCache.get(q);
+    if (c) return c;
+
+    let tokens = [];
+    const phrases = [];
+    const excludes = [];
+    const clauses = [];
+    let error = null;
+    const fail = msg => { if (!error) error = msg; };
+
+    TERM_RE.lastIndex = 0;
+    let m;
+    while (TERM_RE.lastIndex < q.length && (m = TERM_RE.exec(q))) {
+      const [, neg, rawField, op, quotedValue, closeQuote, bare] = m;
+      const negate = !!neg;
+      const quoted = quotedValue !== undefined;
+      if (quoted && !closeQuote) fail('Missing closing quote');
+      let value = quoted ? quotedValue : bare;
+
+      if (rawField) {
+        const name = rawField.toLowerCase();
+        const field = FIELD_ALIASES[name] || name;
+        if (FIELDS[field]) {
+          const clause = parseClause(field, op, value, fail);
+          if (clause) clauses.push({ ...clause, negate });
+          continue;
+        }
+        // Not a field ("re:freshed") — search for it as text
+        const guess = suggestField(name);
+        if (guess) fail(`Unknown filter "${name}:" — did you mean ${guess}:?`);
+        value = rawField + op + value;
+      } else if (!quoted) {
+        const lower = value.toLowerCase();
+        if (FLAGS.has(lower)) { clauses.push({ field: lower, type: 'flag', op: ':', value: true, negate }); continue; }
+        const dangling = lower.match(/^([a-z]+)(>=|<=|:|=|>|<)$/);
+        if (dangling && FIELDS[FIELD_ALIASES[dangling[1]] || dangling[1]]) { fail(`${dangling[1]}${dangling[2]} needs a value`); continue; }
+      }
+
+      const text = fold(value);
+      if (!text) continue;
+      if (negate) excludes.push(text);
+      else if (quoted) phrases.push(text);
+      else tokens.push(...text.split(' '));
+    }
+
+    if (tokens.length > 1 || (tokens.length && phrases.length)) {
+      const meaningful = tokens.filter(t => !ARTICLES.has(t));
+      if (meaningful.length || phrases.length) tokens = meaningful;
+    }
+    c = {
+      tokens,
+      phrases,
+      excludes,
+      clauses,
+      error,
+      phrase: tokens.join(' '),
+      empty: tokens.length === 0 && phrases.length === 0,
+    };
+    compiledCache.set(q, c);
+    return c;
+  }
+
+  function compareValues(op, actual, expected) {
+    switch (op) {
+      case '>':  return actual > expected;
+      case '>=': return actual >= expected;
+      case '<':  return actual < expected;
+      case '<=': return actual <= expected;
+      default:   return actual === expected;
+    }
+  }
+
+  // Does a text / number / day clause hold for a value? (negation is left to
+  // the caller, since records with several values — an artist's shows — need
+  // "none of them match" rather than "one of them doesn't"). Days are ISO dates.
+  function test(clause, actual) {
+    if (actual === undefined || actual === null || actual === '') return false;
+    switch (clause.type) {
+      case 'text': {
+        const folded = prepare(actual).joined;
+        return clause.op === '=' ? folded === clause.value : folded.includes(clause.value);
+      }
+      case 'number': return compareValues(clause.op, Number(actual), clause.value);
+      case 'day':    return compareValues(clause.op, String(actual).slice(5, 10), clause.value);
+    }
+    return false;
+  }
+
+  // Score a record's free text against a compiled query. fields is
+  // [[text, weight], ...]; every query token and quoted phrase must match at
+  // least one field, and no excluded word may start a word in any field.
+  // Returns 0 for no match, otherwise a positive score where higher is better.
+  function score(compiled, fields) {
+    const prepared = [];
+    for (const [text, weight] of fields) {
+      if (text) prepared.push({ field: prepare(text), weight });
+    }
+
+    for (const ex of compiled.excludes) {
+      if (prepared.some(({ field }) => ` ${field.joined}`.includes(` ${ex}`))) return 0;
+    }
+    if (compiled.empty) return 1;
+
+    let total = 0;
+    for (const phrase of compiled.phrases) {
+      let best = 0;
+      for (const { field, weight } of prepared) {
+        if (field.joined.includes(phrase) && weight > best) best = weight;
+      }
+      if (!best) return 0;
+      total += 2 * best;
+    }
+
+    for (const token of compiled.tokens) {
+      let best = 0;
+      for (const { field, weight } of prepared) {
+        const s = tokenScore(token, field) * weight;
+        if (s > best) best = s;
+      }
+      if (!best) return 0;
+      total += best;
+    }
+
+    // Phrase bonus: the whole query is the field ("the citie" = "Citie"), or appears in it in order
+    if (!compiled.phrase) return total;
+    for (const { field, weight } of prepared) {
+      if (field.joined === compiled.phrase || field.bare === compiled.phrase) total += 2 * weight;
+      else if (field.joined.includes(compiled.phrase)) total += 0.5 * weight;
+    }
+    return total;
+  }
+
+  // Escaped HTML of text with matched fragments wrapped in <mark class="search-hit">
+  function highlight(text, compiled) {
+    const s = String(text || '');
+    if (!compiled || compiled.empty) return escHtml(s);
+
+    const { text: folded, map } = foldWithMap(s);
+    const marked = new Array(s.length).fill(false);
+    const wordRe = /\S+/g;
+    let m;
+    for (const phrase of compiled.phrases) {
+      for (let at = folded.indexOf(phrase); at >= 0; at = folded.indexOf(phrase, at + phrase.length)) {
+        for (let k = at; k < at + phrase.length; k++) marked[map[k]] = true;
+      }
+    }
+    while ((m = wordRe.exec(folded))) {
+      const word = m[0];
+      for (const token of compiled.tokens) {
+        let from = word.indexOf(token);
+        let len = token.length;
+        if (from < 0) {
+          if (typoDistance(token, word) === Infinity) continue;
+          from = 0;
+          len = Math.min(word.length, token.length);
+        }
+        for (let k = m.index + from; k < m.index + from + len; k++) marked[map[k]] = true;
+      }
+    }
+
+    let html = '';
+    let open = false;
+    for (let i = 0; i < s.length; i++) {
+      if (marked[i] && !open) { html += '<mark class="search-hit">'; open = true; }
+      if (!marked[i] && open) { html += '</mark>'; open = false; }
+      html += escHtml(s[i]);
+    }
+    if (open) html += '</mark>';
+    return html;
+  }
+
+  // A show's admission ('badge' | 'cover' | 'free') for the `free` term and the
+  // schedule's admission filter: its own field, else badge for official shows
+  // and free for everything else
+  function admission(show) {
+    if (show.admission) return show.admission;
+    return show.source === 'official' ? 'badge' : 'free';
+  }
+
+  window.FestWizSearch = { fold, compile, score, highlight, test, editDistance, admission, FIELDS };
+})();
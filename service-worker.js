@@ -7,15 +7,29 @@
  * picked up by the network-first handler on first use and cached there.
  *
  * Bump CACHE_NAME after each data push to force precache refresh.
+ *
+ * Plan alerts: when a fetch brings show data that differs from the cached copy,
+ * open pages are told to re-check the user's plan. With no page open (periodic
+ * background sync) the worker checks the plan the schedule page last posted and
+ * raises the notifications itself.
  */
 
-const CACHE_NAME = 'fw-v223';
+importScripts('/plan-watch.js');
+
+const CACHE_NAME = 'fw-v264';
 
 const PRECACHE = [
   '/',
   '/index.html',
   '/schedule',
   '/schedule.html',
+  '/festival.js',
+  '/search.js',
+  '/plan-watch.js',
+  '/rating-scale.js',
+  '/embeds.js',
+  '/pick-lists.js',
+  '/qr.js',
   '/app.js',
   '/schedule.js',
   '/manifest.json',
@@ -31,6 +45,16 @@ const PRECACHE = [
 // Falls back to the cache only when offline.
 const NETWORK_FIRST = /\.(json|css)$/;
 
+// Where the schedule page's posted plan is kept (inside CACHE_NAME)
+const PLAN_WATCH_KEY = '/__plan-watch';
+// Show data paths from the posted plan; until one arrives, the default file names
+let showDataPaths = null;
+const DEFAULT_SHOW_DATA = /\/(unofficial_)?shows\.json$/;
+
+function isShowData(pathname) {
+  return showDataPaths ? showDataPaths.includes(pathname) : DEFAULT_SHOW_DATA.test(pathname);
+}
+
 self.addEventListener('install', event => {
   event.waitUntil(
     caches.open(CACHE_NAME)
@@ -55,15 +79,24 @@ self.addEventListener('fetch', event => {
   const url = new URL(event.request.url);
 
   if (NETWORK_FIRST.test(url.pathname)) {
-    // Network-first for JSON + CSS: try network, update cache, fall back to cache
+    // Network-first for JSON + CSS: try network, update cache, fall back to cache.
+    // Pages add cache-busting query strings ("?_=<time>"), so one copy is kept
+    // per path, stored without the query.
     event.respondWith(
       fetch(event.request)
         .then(response => {
           const copy = response.clone();
-          caches.open(CACHE_NAME).then(cache => cache.put(event.request, copy));
+          if (response.ok && isShowData(url.pathname)) {
+            event.waitUntil(
+              updateShowData(event.request, copy)
+                .then(changed => changed && announceShowDataChange())
+            );
+          } else if (response.ok) {
+            caches.open(CACHE_NAME).then(cache => cache.put(cacheKey(event.request), copy));
+          }
           return response;
         })
-        .catch(() => caches.match(event.request))
+        .catch(() => caches.match(cacheKey(event.request)))
     );
     return;
   }
@@ -74,3 +107,116 @@ self.addEventListener('fetch', event => {
       .then(cached => cached || fetch(event.request))
   );
 });
+
+// ── Plan alerts ─────────────────────────────────────────────────────────────
+
+// Network-first files are cached under their URL without the query string
+function cacheKey(request) {
+  const url = new URL(request.url);
+  url.search = '';
+  return url.href;
+}
+
+// Cache a fresh copy of a show data file; resolves true if it differs from the
+// previously cached copy.
+async function updateShowData(request, response) {
+  const cache = await caches.open(CACHE_NAME);
+  const key = cacheKey(request);
+  const previous = await cache.match(key);
+  const body = await response.clone().text();
+  await cache.put(key, response);
+  return !!previous && (await previous.text()) !== body;
+}
+
+async function announceShowDataChange() {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (windows.length) {
+    windows.forEach(w => w.postMessage({ type: 'shows-updated' }));
+    return;
+  }
+  await checkPlanInBackground();
+}
+
+async function loadPlanWatch() {
+  const cache = await caches.open(CACHE_NAME);
+  const saved = await cache.match(PLAN_WATCH_KEY);
+  return saved ? saved.json() : null;
+}
+
+async function savePlanWatch(watch) {
+  showDataPaths = watch.data;
+  const cache = await caches.open(CACHE_NAME);
+  await cache.put(PLAN_WATCH_KEY, new Response(JSON.stringify(watch)));
+}
+
+async function checkPlanInBackground() {
+  const watch = await loadPlanWatch();
+  if (!watch) return;
+  const cache = await caches.open(CACHE_NAME);
+  const shows = [];
+  for (const path of watch.data) {
+    const res = await cache.match(new URL(path, self.location.origin).href);
+    if (!res) return;
+    const list = await res.json();
+    if (Array.isArray(list)) shows.push(...list);
+  }
+
+  const changes = FestWizPlanWatch.findPlanChanges(watch.plan, shows);
+  if (!changes.length) return;
+  for (const change of changes) {
+    const { title, body } = FestWizPlanWatch.describeChange(change);
+    try {
+      await self.registration.showNotification(title, {
+        body,
+        icon: '/icon-192.png',
+        tag: `plan-${change.before.artist}-${change.before.day}`,
+        data: { url: '/schedule' },
+      });
+    } catch (e) {
+      // Notifications not permitted — the page shows the banner on next open
+    }
+  }
+
+  // Follow the new slots so the same change isn't announced twice
+  const moved = new Map(changes.map(c => [c.before, c.after]));
+  watch.plan = watch.plan
+    .map(entry => (moved.has(entry) ? moved.get(entry) : entry))
+    .filter(Boolean);
+  await savePlanWatch(watch);
+}
+
+async function refreshShowDataInBackground() {
+  const watch = await loadPlanWatch();
+  if (!watch) return;
+  let changed = false;
+  for (const path of watch.data) {
+    try {
+      const res = await fetch(path, { cache: 'no-store' });
+      if (res.ok && await updateShowData(new Request(path), res)) changed = true;
+    } catch (e) {
+      // Offline — try again next sync
+    }
+  }
+  if (changed) await announceShowDataChange();
+}
+
+self.addEventListener('message', event => {
+  const msg = event.data || {};
+  if (msg.type !== 'plan-watch' || !Array.isArray(msg.plan) || !Array.isArray(msg.data)) return;
+  event.waitUntil(savePlanWatch({ plan: msg.plan, data: msg.data }));
+});
+
+self.addEventListener('periodicsync', event => {
+  if (event.tag === 'refresh-shows') event.waitUntil(refreshShowDataInBackground());
+});
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const target = (event.notification.data && event.notification.data.url) || '/schedule';
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(windows => {
+      const open = windows.find(w => new URL(w.url).pathname.startsWith(target));
+      return open ? open.focus() : self.clients.openWindow(target);
+    })
+  );
+});